@@ -0,0 +1,75 @@
+const fs = require('fs');
+const RSS = require('rss');
+const { loadBounties } = require('./lib/bounties');
+
+const siteUrl = 'https://comunica.dev/association/bounties/';
+
+function issueToJson(issue) {
+  return {
+    title: issue.title,
+    url: issue.url,
+    number: issue.number,
+    repository: issue.repository.nameWithOwner,
+    state: issue.state === 'OPEN' ? 'open' : 'completed',
+    claimed: issue.assignees.totalCount > 0,
+    assignees: issue.assignees.nodes.map(({ name, url }) => ({ name, url })),
+    createdAt: issue.createdAt,
+    closedAt: issue.closedAt,
+    sponsors: issue.sponsors,
+    amount: issue.amount,
+  };
+}
+
+function generateJson(bounties) {
+  return JSON.stringify({
+    open: bounties.open.map(issueToJson),
+    completed: bounties.completed.map(issueToJson),
+    totals: bounties.totals,
+  }, null, 2);
+}
+
+function generateRSS(bounties) {
+  const feed = new RSS({
+    title: 'Comunica – Bounties',
+    description: 'Bounties that have been opened or completed at the Comunica Association.',
+    site_url: siteUrl,
+    feed_url: 'https://comunica.dev/bounties-feed.xml',
+  });
+  // Every bounty has been opened at some point, and completed bounties are announced a second time
+  const items = [
+    ...[ ...bounties.open, ...bounties.completed ]
+      .map(issue => ({ issue, kind: 'opened', prefix: 'New bounty', date: issue.createdAt })),
+    ...bounties.completed
+      .map(issue => ({ issue, kind: 'completed', prefix: 'Completed bounty', date: issue.closedAt })),
+  ].sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+  for (const { issue, kind, prefix, date } of items) {
+    const sponsors = issue.sponsors.map(({ name }) => name).join(', ');
+    feed.item({
+      title: `${prefix}: ${issue.title} (${issue.repository.nameWithOwner}#${issue.number})`,
+      description: `Value: € ${issue.amount.toLocaleString('en-US')}${sponsors ? `, sponsored by ${sponsors}` : ''}`,
+      guid: `${issue.url}#${kind}`,
+      url: issue.url,
+      categories: [ issue.repository.nameWithOwner ],
+      date: new Date(date).toUTCString(),
+    });
+  }
+  return feed.xml({ indent: true })
+      .replace(/<lastBuildDate>.*<\/lastBuildDate>/, '');
+}
+
+async function main() {
+  const bounties = await loadBounties();
+
+  const jsonPath = 'public/bounties.json';
+  fs.writeFileSync(jsonPath, generateJson(bounties));
+  console.info(`Saved bounties to ${jsonPath}`);
+
+  const rssPath = 'public/bounties-feed.xml';
+  fs.writeFileSync(rssPath, generateRSS(bounties));
+  console.info(`Saved bounties RSS feed to ${rssPath}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
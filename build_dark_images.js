@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const { hasDarkVariant, darkVariantPath, createDarkSvg } = require('./lib/darkImages');
+const { scanDir } = require('./lib/files');
+
+/**
+ * Generates variants of SVG images for the dark theme into public/img/dark/.
+ */
+
+function main() {
+  // Skip previously generated variants
+  const sources = scanDir(path.join('public', 'img'), '', [ path.join('public', 'img', 'dark') ])
+    .map(filePath => '/' + path.relative('public', filePath).split(path.sep).join('/'))
+    .filter(hasDarkVariant);
+  for (const src of sources) {
+    const outputPath = path.join('public', darkVariantPath(src));
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, createDarkSvg(fs.readFileSync(path.join('public', src), { encoding: 'utf-8' })));
+  }
+  console.info(`Saved dark variants of ${sources.length} images to public/img/dark/`);
+}
+
+main()
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { generateCalendar } = require('./lib/events');
+
+const baseUrl = 'https://comunica.dev';
+
+function main() {
+  const dirPath = path.join('pages', 'events');
+  const events = fs.readdirSync(dirPath)
+    .filter(filename => filename.endsWith('.md'))
+    .sort()
+    .map(filename => ({
+      path: `/events/${filename.slice(0, -3)}/`,
+      data: matter(fs.readFileSync(path.join(dirPath, filename), { encoding: 'utf-8' })).data,
+    }));
+  const now = new Date();
+
+  // One calendar per event, and one for all events
+  for (const event of events) {
+    const eventDir = path.join('public', event.path);
+    fs.mkdirSync(eventDir, { recursive: true });
+    fs.writeFileSync(path.join(eventDir, 'event.ics'), generateCalendar([ event ], baseUrl, now));
+  }
+  fs.writeFileSync(path.join('public', 'events.ics'), generateCalendar(events, baseUrl, now));
+  console.info(`Saved iCalendar files for ${events.length} events to public/events/ and public/events.ics`);
+}
+
+main()
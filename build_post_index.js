@@ -1,31 +1,123 @@
 const fs = require('fs');
 const path = require('path');
-const RSS = require('rss');
+const { Feed } = require('feed');
 const matter = require('gray-matter');
+const unified = require('unified');
+const remarkParse = require('remark-parse');
+const gfm = require('remark-gfm');
+const remarkRehype = require('remark-rehype');
+const rehypeRaw = require('rehype-raw');
+const rehypeStringify = require('rehype-stringify');
+const { tagPath } = require('./lib/tags');
+const { remarkCodeGroups } = require('./lib/codeMeta');
+const { remarkAdmonitions } = require('./lib/admonitions');
 
-function generateRSS(posts) {
-  const siteUrl = 'https://comunica.dev/blog/';
-  const feed = new RSS({
-    title: 'Comunica – Blog',
-    description: 'Blog posts, containing announcements or other news.',
-    site_url: siteUrl
-  });
-  for(const p in posts){
-    const [_, year, month, day] = /(?:^|\/)([0-9][0-9][0-9][0-9])-([0-9][0-9])-([0-9][0-9])-[^\/]*$/.exec(p);
-    const date = new Date(Date.UTC(year, month, day)).toUTCString();
-    const title = posts[p].data.title;
-    const guid = p;
-    const url = siteUrl+p.slice(11, -3)+'/';
-
-    feed.item({
-      title,
-      guid,
-      url,
-      date
-    });
+const baseUrl = 'https://comunica.dev';
+const defaultAuthor = { name: 'Comunica', link: `${baseUrl}/` };
+
+/**
+ * Rehype plugin that makes all links and image sources absolute, relative to the given page url.
+ * @param pageUrl The absolute url of the page.
+ */
+function absoluteUrls({ pageUrl }) {
+  function visit(node) {
+    if (node.type === 'element') {
+      for (const attribute of [ 'href', 'src' ]) {
+        if (typeof node.properties[attribute] === 'string') {
+          node.properties[attribute] = new URL(node.properties[attribute], pageUrl).href;
+        }
+      }
+    }
+    (node.children || []).forEach(visit);
   }
-  return feed.xml({ indent: true })
-      .replace(/<lastBuildDate>.*<\/lastBuildDate>/, '');
+  return visit;
+}
+
+/**
+ * Render markdown to HTML, in which all urls are absolute.
+ * @param markdown A markdown string.
+ * @param pageUrl The absolute url of the page in which the markdown occurs.
+ */
+function renderHtml(markdown, pageUrl) {
+  return unified()
+    .use(remarkParse)
+    .use(gfm)
+    .use(remarkCodeGroups)
+    .use(remarkAdmonitions)
+    .use(remarkRehype, { allowDangerousHtml: true })
+    .use(rehypeRaw)
+    .use(absoluteUrls, { pageUrl })
+    .use(rehypeStringify)
+    .processSync(markdown)
+    .toString();
+}
+
+/**
+ * Generate RSS, Atom and JSON feeds for the given blog posts.
+ * @param posts Parsed blog posts by file path.
+ * @param title The feed title.
+ * @param description The feed description.
+ * @param pagePath The path of the page the feed belongs to.
+ * @param feedsPath The path under which the feed files are published.
+ */
+function generateFeeds(posts, { title, description, pagePath, feedsPath }) {
+  const items = Object.keys(posts)
+    .map(p => {
+      const [_, year, month, day] = /(?:^|\/)([0-9][0-9][0-9][0-9])-([0-9][0-9])-([0-9][0-9])-[^\/]*$/.exec(p);
+      const url = `${baseUrl}/blog/${path.basename(p, '.md')}/`;
+      const { data, excerpt, content } = posts[p];
+      return {
+        title: data.title,
+        id: url,
+        guid: p,
+        link: url,
+        date: new Date(Date.UTC(year, month - 1, day)),
+        published: new Date(Date.UTC(year, month - 1, day)),
+        description: excerpt ? renderHtml(excerpt, url) : undefined,
+        content: renderHtml(content.replace('<!-- excerpt-end -->', ''), url),
+        author: [ data.author ? { name: data.author } : defaultAuthor ],
+        category: (data.tags || []).map(tag => ({ name: tag, domain: `${baseUrl}${tagPath(tag)}` })),
+      };
+    })
+    .sort((a, b) => b.date.getTime() - a.date.getTime());
+
+  const feed = new Feed({
+    title,
+    description,
+    id: `${baseUrl}${pagePath}`,
+    link: `${baseUrl}${pagePath}`,
+    language: 'en',
+    image: `${baseUrl}/img/comunica_red.png`,
+    favicon: `${baseUrl}/favicon.ico`,
+    copyright: `Ghent University – imec`,
+    // Use the latest post date instead of the current time, so that feeds only change when posts change
+    updated: items.length > 0 ? items[0].date : undefined,
+    feedLinks: {
+      rss: `${baseUrl}${feedsPath}rss-feed.xml`,
+      atom: `${baseUrl}${feedsPath}atom-feed.xml`,
+      json: `${baseUrl}${feedsPath}feed.json`,
+    },
+    author: defaultAuthor,
+  });
+  items.forEach(item => feed.addItem(item));
+  return {
+    rss: feed.rss2(),
+    atom: feed.atom1(),
+    json: feed.json1(),
+  };
+}
+
+/**
+ * Write the RSS, Atom and JSON feeds to the public directory.
+ * @param feedsPath The path under which the feed files are published.
+ * @param feeds Serialized feeds.
+ */
+function writeFeeds(feedsPath, { rss, atom, json }) {
+  const dirPath = path.join('public', feedsPath);
+  fs.mkdirSync(dirPath, { recursive: true });
+  fs.writeFileSync(path.join(dirPath, 'rss-feed.xml'), rss);
+  fs.writeFileSync(path.join(dirPath, 'atom-feed.xml'), atom);
+  fs.writeFileSync(path.join(dirPath, 'feed.json'), json);
 }
 
 function scanDir(dirPath, extension) {
@@ -52,10 +144,27 @@ async function main() {
         acc[postPaths[i]] = content;
         return acc;
     }, {});
-  const rssPath = 'public/rss-feed.xml';
-  const rssXML = generateRSS(posts);
-  fs.writeFileSync(rssPath, rssXML);
-  console.info(`Saved RSS feed to ${rssPath}`);
+  writeFeeds('/', generateFeeds(posts, {
+    title: 'Comunica – Blog',
+    description: 'Blog posts, containing announcements or other news.',
+    pagePath: '/blog/',
+    feedsPath: '/',
+  }));
+  console.info('Saved RSS, Atom and JSON feeds to public/');
+
+  // Emit a separate feed for each tag
+  const tags = [...new Set(Object.values(posts).flatMap(post => post.data.tags || []))];
+  for (const tag of tags) {
+    const tagPosts = Object.fromEntries(Object.entries(posts)
+      .filter(([ _, post ]) => (post.data.tags || []).includes(tag)));
+    writeFeeds(tagPath(tag), generateFeeds(tagPosts, {
+      title: `Comunica – Blog – ${tag}`,
+      description: `Blog posts about ${tag}.`,
+      pagePath: tagPath(tag),
+      feedsPath: tagPath(tag),
+    }));
+  }
+  console.info(`Saved feeds for ${tags.length} tags to public/blog/tags/`);
 }
 
 main()
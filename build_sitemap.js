@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const { getPublishedPages } = require('./lib/pages');
+const { getFileHistory } = require('./lib/gitHistory');
+const { generateRobots, generateSitemap } = require('./lib/sitemap');
+
+/**
+ * Generates a sitemap of all pages and a robots.txt file into public/,
+ * in which the last modification date of each page is determined from the git history of its source file.
+ */
+
+async function main() {
+  const pages = (await getPublishedPages()).map(({ path, source }) => {
+    const history = source && getFileHistory(source);
+    return { path, lastUpdated: history ? history.lastUpdated : null };
+  });
+
+  fs.writeFileSync(path.join('public', 'sitemap.xml'), generateSitemap(pages));
+  fs.writeFileSync(path.join('public', 'robots.txt'), generateRobots());
+  console.info(`Saved sitemap of ${pages.length} pages to public/sitemap.xml`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const { getPublishedPages } = require('./lib/pages');
+const { socialCardWidth, socialCardPath, getSection, getReleaseVersion, generateSocialCardSvg } = require('./lib/socialCards');
+
+/**
+ * Generates a PNG social card for each page into public/social-cards/,
+ * which is shown in link previews on social media.
+ */
+
+const fontFile = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+const fontFamily = 'DejaVu Sans';
+
+async function main() {
+  const pages = await getPublishedPages();
+  // Remove the cards of pages that no longer exist
+  fs.rmSync(path.join('public', 'social-cards'), { recursive: true, force: true });
+
+  const logo = fs.readFileSync(path.join('public', 'img', 'comunica_red.svg'), { encoding: 'utf-8' });
+  for (const page of pages) {
+    const svg = generateSocialCardSvg({
+      title: page.data.title,
+      section: getSection(page.path),
+      version: getReleaseVersion(page.path, page.data),
+    }, logo, fontFamily);
+    const png = new Resvg(svg, {
+      fitTo: { mode: 'width', value: socialCardWidth },
+      font: { fontFiles: [ fontFile ], loadSystemFonts: false, defaultFontFamily: fontFamily },
+    }).render().asPng();
+    const outputPath = path.join('public', socialCardPath(page.path));
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, png);
+  }
+  console.info(`Saved social cards for ${pages.length} pages to public/social-cards/`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { validateFrontmatter } = require('./lib/frontmatter');
+const { scanDir } = require('./lib/files');
+
+/**
+ * Checks the frontmatter of all markdown pages, and reports all problems at once.
+ * This runs before the website is rendered, as invalid frontmatter breaks rendering in less clear ways.
+ *
+ * Usage: node check_frontmatter.js
+ */
+
+function main() {
+  const files = scanDir('pages', '.md');
+  const problems = files.flatMap(filePath => {
+    let page;
+    try {
+      page = matter(fs.readFileSync(filePath, { encoding: 'utf-8' }), { excerpt_separator: '<!-- excerpt-end -->' });
+    } catch (e) {
+      return [ `${filePath}: invalid frontmatter: ${e.message}` ];
+    }
+    return validateFrontmatter(filePath.split(path.sep).join('/'), page);
+  });
+
+  if (problems.length > 0) {
+    console.error(`Found ${problems.length} frontmatter problems:\n${problems.join('\n')}`);
+    process.exit(1);
+  }
+  console.info(`Checked frontmatter of ${files.length} pages, found 0 problems`);
+}
+
+main()
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const unified = require('unified');
+const remarkParse = require('remark-parse');
+const gfm = require('remark-gfm');
+const visit = require('unist-util-visit');
+const toString = require('mdast-util-to-string');
+const { cleanPagePath } = require('./lib/pages');
+const { createSlugger } = require('./lib/headings');
+const { tagPath } = require('./lib/tags');
+const { scanDir } = require('./lib/files');
+
+/**
+ * Checks all internal links and fragments in the markdown pages.
+ *
+ * Usage: node check_links.js [--strict] [--images]
+ *   --strict: Exit with an error code if problems are found, instead of only warning.
+ *   --images: Also check if local images exist under public/.
+ */
+
+const baseUrl = 'https://comunica.dev';
+
+/**
+ * Determine the page path of a file in pages/, such as '/docs/query/usage/'.
+ */
+function filePathToPagePath(filePath, extension) {
+  const rawPath = '/' + path.relative('pages', filePath).split(path.sep).join('/').slice(0, -extension.length);
+  if (rawPath === '/index') {
+    return '/';
+  }
+  return cleanPagePath(rawPath + '/');
+}
+
+/**
+ * Parse a markdown page, and collect its heading ids and the links within it.
+ */
+function parsePage(filePath) {
+  const raw = fs.readFileSync(filePath, { encoding: 'utf-8' });
+  const { content, data } = matter(raw);
+  const lineOffset = raw.split('\n').length - content.split('\n').length;
+  const tree = unified().use(remarkParse).use(gfm).parse(content);
+
+  const ids = new Set();
+  const links = [];
+  const slug = createSlugger();
+  visit(tree, node => {
+    const line = node.position.start.line + lineOffset;
+    if (node.type === 'heading') {
+      ids.add(slug(toString(node)));
+    } else if (node.type === 'link' || node.type === 'definition') {
+      links.push({ url: node.url, line, image: false });
+    } else if (node.type === 'image') {
+      links.push({ url: node.url, line, image: true });
+    } else if (node.type === 'html') {
+      for (const match of node.value.matchAll(/\bid="([^"]+)"/g)) {
+        ids.add(match[1]);
+      }
+      for (const match of node.value.matchAll(/<(a|img)\b[^>]*\b(href|src)="([^"]+)"/g)) {
+        const lineInHtml = node.value.slice(0, match.index).split('\n').length - 1;
+        links.push({ url: match[3], line: line + lineInHtml, image: match[1] === 'img' });
+      }
+    }
+  });
+  return { data, ids, links };
+}
+
+function main() {
+  const strict = process.argv.includes('--strict');
+  const checkImages = process.argv.includes('--images');
+
+  // Collect all pages, with the heading ids of markdown pages
+  const pages = {};
+  const markdownPages = scanDir('pages', '.md').map(filePath => ({
+    filePath,
+    pagePath: filePathToPagePath(filePath, '.md'),
+    ...parsePage(filePath),
+  }));
+  for (const page of markdownPages) {
+    pages[page.pagePath] = page.ids;
+  }
+  for (const filePath of scanDir('pages', '.js')) {
+    if (!/^[_[]/.test(path.basename(filePath))) {
+      // Ids of JavaScript pages are not known, so fragments to them are not checked
+      pages[filePathToPagePath(filePath, '.js')] = undefined;
+    }
+  }
+  const tags = [ ...new Set(markdownPages.flatMap(page => page.data.tags || [])) ];
+  for (const pagePath of [ '/blog/tags/', ...tags.map(tagPath) ]) {
+    pages[pagePath] = undefined;
+  }
+
+  // Check all links
+  const problems = [];
+  for (const page of markdownPages) {
+    const pageUrl = new URL(page.pagePath, baseUrl);
+    for (const { url: link, line, image } of page.links) {
+      // Skip external links
+      if (/^[a-z][a-z0-9+.-]*:/i.test(link) || link.startsWith('//')) {
+        continue;
+      }
+      const url = new URL(link, pageUrl);
+      if (url.origin !== pageUrl.origin) {
+        continue;
+      }
+      const report = message => problems.push(`${page.filePath}:${line}: ${message}`);
+
+      // Links to files, such as images or feeds
+      if (image || /\.[a-z0-9]+$/i.test(url.pathname)) {
+        if (image && checkImages && !fs.existsSync(path.join('public', decodeURIComponent(url.pathname)))) {
+          report(`image ${link} does not exist in public/`);
+        }
+        continue;
+      }
+
+      const targetPath = url.pathname.endsWith('/') ? url.pathname : url.pathname + '/';
+      if (!(targetPath in pages)) {
+        report(`link ${link} refers to unknown page ${targetPath}`);
+        continue;
+      }
+      const fragment = decodeURIComponent(url.hash.slice(1));
+      const ids = pages[targetPath];
+      if (fragment && ids && !ids.has(fragment)) {
+        report(`link ${link} refers to unknown fragment #${fragment} on ${targetPath}`);
+      }
+    }
+  }
+
+  for (const problem of problems) {
+    console.warn(problem);
+  }
+  console.info(`Checked links in ${markdownPages.length} pages, found ${problems.length} problems`);
+  if (strict && problems.length > 0) {
+    process.exit(1);
+  }
+}
+
+main()
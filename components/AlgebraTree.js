@@ -0,0 +1,125 @@
+import React from "react";
+
+/**
+ * Fields of quad patterns that are shown together as the pattern itself.
+ */
+const quadFields = [ 'termType', 'value', 'subject', 'predicate', 'object', 'graph' ];
+
+function isTerm(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.termType === 'string' && !('type' in value);
+}
+
+/**
+ * Check if a value is an algebra operation or expression, which are shown as nodes in the tree.
+ */
+function isOperation(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.type === 'string';
+}
+
+function formatTerm(term) {
+    switch (term.termType) {
+        case 'Variable':
+            return `?${term.value}`;
+        case 'NamedNode':
+            return `<${term.value}>`;
+        case 'BlankNode':
+            return `_:${term.value}`;
+        case 'Literal':
+            if (term.language) {
+                return `"${term.value}"@${term.language}`;
+            }
+            if (term.datatype && term.datatype.value !== 'http://www.w3.org/2001/XMLSchema#string') {
+                return `"${term.value}"^^<${term.datatype.value}>`;
+            }
+            return `"${term.value}"`;
+        case 'DefaultGraph':
+            return 'default graph';
+        case 'Quad':
+            return formatQuad(term);
+        default:
+            return term.value;
+    }
+}
+
+function formatQuad(quad) {
+    const terms = [ quad.subject, quad.predicate, quad.object ];
+    if (quad.graph && quad.graph.termType !== 'DefaultGraph') {
+        terms.push(quad.graph);
+    }
+    return terms.map(term => term ? formatTerm(term) : '?').join(' ');
+}
+
+/**
+ * Format a value that is not an operation, such as a term, a list of variables, or VALUES bindings.
+ */
+function formatValue(value) {
+    if (isTerm(value)) {
+        return formatTerm(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).map(key => `${key}: ${formatValue(value[key])}`).join(', ')}}`;
+    }
+    return String(value);
+}
+
+function AlgebraNode({ field, node }) {
+    const quad = node.termType === 'Quad';
+    const children = [];
+    const properties = [];
+    for (const key of Object.keys(node)) {
+        const value = node[key];
+        if (key === 'type' || (quad && quadFields.includes(key))) {
+            continue;
+        }
+        if (isOperation(value)) {
+            children.push({ field: key, node: value });
+        } else if (Array.isArray(value) && value.length > 0 && value.every(isOperation)) {
+            value.forEach((child, i) => children.push({ field: `${key}[${i}]`, node: child }));
+        } else {
+            properties.push({ key, value: formatValue(value) });
+        }
+    }
+
+    const summary = (
+        <>
+            {field && <span className="algebra-node-field">{field}</span>}
+            <span className="algebra-node-type">{node.type}</span>
+            {quad && <code>{formatQuad(node)}</code>}
+            {properties.map(({ key, value }) => <span key={key} className="algebra-node-property">{key}: <code>{value}</code></span>)}
+        </>
+    );
+    if (children.length === 0) {
+        return (
+            <li className="algebra-node"><div className="algebra-node-summary">{summary}</div></li>
+        );
+    }
+    return (
+        <li className="algebra-node">
+            <details open>
+                <summary className="algebra-node-summary">{summary}</summary>
+                <ul>
+                    {children.map(child => <AlgebraNode key={child.field} field={child.field} node={child.node}/>)}
+                </ul>
+            </details>
+        </li>
+    );
+}
+
+/**
+ * A collapsible tree of a SPARQL algebra operation, in which terms are shown inline.
+ */
+export default function AlgebraTree({ algebra }) {
+    if (!isOperation(algebra)) {
+        return (
+            <p className="algebra-playground-error">The algebra must be an object with a 'type'.</p>
+        );
+    }
+    return (
+        <ul className="algebra-tree">
+            <AlgebraNode node={algebra}/>
+        </ul>
+    );
+}
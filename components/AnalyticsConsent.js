@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from "react";
+import { analyticsConfig, getAnalyticsConsent, isDoNotTrackEnabled, loadAnalytics, setAnalyticsConsent } from "../lib/analytics";
+
+/**
+ * Banner that asks readers for consent before analytics is loaded.
+ * Readers whose browser asks not to be tracked are not asked, and are treated as having declined,
+ * unless they allow analytics via the settings link in the footer.
+ */
+export default function AnalyticsConsent() {
+    const [ visible, setVisible ] = useState(false);
+
+    useEffect(() => {
+        if (!analyticsConfig) {
+            return;
+        }
+        const consent = getAnalyticsConsent();
+        if (consent === 'granted') {
+            loadAnalytics();
+        } else if (!consent && !isDoNotTrackEnabled()) {
+            setVisible(true);
+        }
+
+        // The footer is rendered in the document and not hydrated, so its settings link is connected here
+        const settings = document.querySelector('.analytics-settings');
+        const show = event => {
+            event.preventDefault();
+            setVisible(true);
+        };
+        if (settings) {
+            settings.addEventListener('click', show);
+            return () => settings.removeEventListener('click', show);
+        }
+    }, []);
+
+    if (!visible) {
+        return null;
+    }
+    const choose = consent => {
+        setAnalyticsConsent(consent);
+        setVisible(false);
+        if (consent === 'granted') {
+            loadAnalytics();
+        }
+    };
+    return (
+        <div className="analytics-consent" role="dialog" aria-label="Analytics consent" data-pagefind-ignore="all">
+            <p>
+                May we collect anonymous statistics about your visit, to learn which parts of this website are used?
+                {getAnalyticsConsent() === 'granted' && ' Withdrawing your consent applies from the next page you visit.'}
+            </p>
+            <div className="analytics-consent-buttons">
+                <button onClick={() => choose('granted')}>Allow</button>
+                <button onClick={() => choose('denied')}>Decline</button>
+            </div>
+        </div>
+    );
+}
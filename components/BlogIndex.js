@@ -1,10 +1,13 @@
 import Markdown from "./Markdown";
+import Tags from "./Tags";
 
-export default function DocIndex ({ path, paths, mattersData }) {
+export default function DocIndex ({ path, paths, mattersData, tag }) {
     const entries = paths
         .filter(p => p.startsWith(path) && p !== path + '/')
         .map(p => p.slice(path.length + 1, p.length))
         .filter(p => (p.match(/\//g) || []).length === 1) // Only files directly under blog/
+        .filter(p => /^[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]-/.test(p)) // Only posts, not tags/
+        .filter(p => !tag || (mattersData[path + '/' + p].tags || []).includes(tag))
         .reverse()
         .map(p => {
             const [_, year, month, day] = /^([0-9][0-9][0-9][0-9])-([0-9][0-9])-([0-9][0-9])-/.exec(p);
@@ -14,17 +17,21 @@ export default function DocIndex ({ path, paths, mattersData }) {
                     .toLocaleDateString("en-US", { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}`,
                 title: mattersData[path + '/' + p].title,
                 excerpt: mattersData[path + '/' + p].excerpt,
+                tags: mattersData[path + '/' + p].tags,
             };
         })
         .map(entry =>
-            <a key={entry.path} href={entry.path} className={"blog-entry"}>
-                <h3>{entry.title}</h3>
-                <p className={"date"}>{entry.date}</p>
-                <div className={"excerpt"}>
-                    <Markdown body={entry.excerpt} />
-                    <p className={"read-more"}>Read more...</p>
-                </div>
-            </a>
+            <div key={entry.path} className={"blog-entry"}>
+                <a href={`${path}/${entry.path}`} className={"blog-entry-link"}>
+                    <h3>{entry.title}</h3>
+                    <p className={"date"}>{entry.date}</p>
+                    <div className={"excerpt"}>
+                        <Markdown body={entry.excerpt} />
+                        <p className={"read-more"}>Read more...</p>
+                    </div>
+                </a>
+                <Tags tags={entry.tags} />
+            </div>
         );
     return (
         <div className="index">
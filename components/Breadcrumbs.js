@@ -1,16 +1,18 @@
 export default function BreadCrumbs ({ frontmatter, path, paths, mattersData }) {
-    const entries = paths
+    const parents = paths
         .filter(p => path.startsWith(p))
         .map(p => ({
             path: p,
             title: mattersData[p].title,
-        }))
-        .map(entry => <li key={entry.path}><a href={entry.path}>{entry.title}</a></li>);
+        }));
+    const entries = parents.map(entry => <li key={entry.path}><a href={entry.path}>{entry.title}</a></li>);
     if (entries.length > 0) {
         entries.push(<li key={"_"}>{frontmatter.title}</li>);
     }
+    // The parent pages are shown in search results
+    const searchMeta = parents.length > 0 ? `breadcrumbs:${parents.map(entry => entry.title).join(' › ')}` : undefined;
     return (
-        <ul className="breadcrumbs">
+        <ul className="breadcrumbs" data-pagefind-meta={searchMeta}>
             {entries}
         </ul>
     );
@@ -0,0 +1,159 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+const nodeWidth = 220;
+const nodeHeight = 28;
+const layerSpacing = 300;
+const rowSpacing = 40;
+const margin = 20;
+const loopSize = 40;
+
+/**
+ * Determine the position of each bus, based on its layer.
+ * Within a layer, buses are ordered alphabetically.
+ */
+function layoutBuses(buses) {
+    const positions = {};
+    const rows = {};
+    for (const { busName, layer } of buses) {
+        const row = rows[layer] = (rows[layer] || 0) + 1;
+        positions[busName] = {
+            x: margin + layer * layerSpacing,
+            y: margin + (row - 1) * rowSpacing,
+        };
+    }
+    return {
+        positions,
+        width: margin * 2 + Math.max(0, ...buses.map(({ layer }) => layer)) * layerSpacing + nodeWidth + loopSize,
+        height: margin * 2 + (Math.max(0, ...Object.values(rows)) - 1) * rowSpacing + nodeHeight,
+    };
+}
+
+function edgePath(from, to) {
+    if (from === to) {
+        const x = from.x + nodeWidth;
+        const y = from.y + nodeHeight / 2;
+        return `M ${x} ${y - 6} C ${x + loopSize} ${y - 30}, ${x + loopSize} ${y + 30}, ${x} ${y + 6}`;
+    }
+    const x1 = from.x + nodeWidth;
+    const y1 = from.y + nodeHeight / 2;
+    const x2 = to.x;
+    const y2 = to.y + nodeHeight / 2;
+    const bend = Math.max(60, Math.abs(x2 - x1) / 2);
+    return `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+}
+
+/**
+ * An interactive graph of how buses invoke each other via mediators.
+ * The graph can be zoomed using the mouse wheel or buttons, and panned by dragging.
+ * Clicking a bus jumps to its section on the page.
+ */
+export default function BusGraph({ buses, edges, linkedBuses }) {
+    const { positions, width, height } = layoutBuses(buses);
+    const [ view, setView ] = useState({ x: 0, y: 0, scale: 1 });
+    const [ hovered, setHovered ] = useState(undefined);
+    const svgRef = useRef(undefined);
+    const drag = useRef(undefined);
+
+    function zoom(factor, originX = width / 2, originY = height / 2) {
+        setView(({ x, y, scale }) => {
+            const newScale = Math.min(4, Math.max(0.25, scale * factor));
+            const ratio = newScale / scale;
+            return {
+                x: originX - (originX - x) * ratio,
+                y: originY - (originY - y) * ratio,
+                scale: newScale,
+            };
+        });
+    }
+
+    // Convert a mouse event into SVG coordinates
+    function toSvgPoint(event) {
+        const rect = svgRef.current.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * width / rect.width,
+            y: (event.clientY - rect.top) * height / rect.height,
+        };
+    }
+
+    // Wheel listeners must be non-passive to prevent the page from scrolling
+    useEffect(() => {
+        const svg = svgRef.current;
+        function onWheel(event) {
+            event.preventDefault();
+            const { x, y } = toSvgPoint(event);
+            zoom(event.deltaY < 0 ? 1.1 : 1 / 1.1, x, y);
+        }
+        svg.addEventListener('wheel', onWheel, { passive: false });
+        return () => svg.removeEventListener('wheel', onWheel);
+    }, [ width, height ]);
+
+    function onPointerDown(event) {
+        const point = toSvgPoint(event);
+        drag.current = { start: point, view, moved: false };
+    }
+
+    function onPointerMove(event) {
+        if (drag.current) {
+            const point = toSvgPoint(event);
+            const dx = point.x - drag.current.start.x;
+            const dy = point.y - drag.current.start.y;
+            if (Math.abs(dx) + Math.abs(dy) > 3) {
+                drag.current.moved = true;
+            }
+            setView({ ...drag.current.view, x: drag.current.view.x + dx, y: drag.current.view.y + dy });
+        }
+    }
+
+    function onPointerUp() {
+        // Keep the drag state until the click event, so that clicks after dragging can be ignored
+        setTimeout(() => drag.current = undefined);
+    }
+
+    function onClick(event) {
+        if (drag.current && drag.current.moved) {
+            event.preventDefault();
+        }
+    }
+
+    const isHighlighted = ({ from, to }) => hovered && (from === hovered || to === hovered);
+    return (
+        <div className="bus-graph">
+            <div className="bus-graph-controls">
+                <button type="button" onClick={() => zoom(1.25)} title="Zoom in">+</button>
+                <button type="button" onClick={() => zoom(0.8)} title="Zoom out">−</button>
+                <button type="button" onClick={() => setView({ x: 0, y: 0, scale: 1 })} title="Reset zoom">Reset</button>
+            </div>
+            <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} role="img"
+                 aria-label="Graph of buses, where an arrow indicates that actors on a bus invoke a mediator on another bus"
+                 onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={onPointerUp}
+                 onPointerLeave={onPointerUp} onClickCapture={onClick}>
+                <defs>
+                    <marker id="bus-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5"
+                            markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z" />
+                    </marker>
+                </defs>
+                <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+                    {edges.map(edge => <path key={`${edge.from} ${edge.to}`}
+                                             d={edgePath(positions[edge.from], positions[edge.to])}
+                                             className={isHighlighted(edge) ? 'bus-graph-edge bus-graph-edge-highlighted' : 'bus-graph-edge'}
+                                             markerEnd="url(#bus-graph-arrow)">
+                        <title>{`${edge.from} → ${edge.to} (mediators: ${edge.mediators.join(', ')})`}</title>
+                    </path>)}
+                    {buses.map(({ busName, actors }) => {
+                        const { x, y } = positions[busName];
+                        const node = <g className="bus-graph-node" transform={`translate(${x} ${y})`}
+                                        onMouseEnter={() => setHovered(busName)} onMouseLeave={() => setHovered(undefined)}>
+                            <title>{`${busName}: ${actors.length} actor(s)`}</title>
+                            <rect width={nodeWidth} height={nodeHeight} rx="5" />
+                            <text x={nodeWidth / 2} y={nodeHeight / 2} dominantBaseline="central" textAnchor="middle">{busName}</text>
+                        </g>;
+                        return linkedBuses.includes(busName)
+                            ? <a key={busName} href={`#${busName}`}>{node}</a>
+                            : <React.Fragment key={busName}>{node}</React.Fragment>;
+                    })}
+                </g>
+            </svg>
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+import hljs from 'highlight.js';
+import React, { useState } from "react";
+import { parseCodeMeta, stripPrompts } from "../lib/codeMeta";
+
+/**
+ * Highlight code, and split the resulting HTML into lines,
+ * in which tags that span multiple lines are closed at the end of each line and reopened on the next one.
+ * @param {string} code The code to highlight.
+ * @param {string} language A highlight.js language name, or undefined to detect the language.
+ * @return {string[]} HTML per line.
+ */
+function highlightLines(code, language) {
+    const html = !language
+        ? hljs.highlightAuto(code).value
+        : hljs.highlight(code, { language: hljs.getLanguage(language) ? language : 'plaintext' }).value;
+    const lines = [];
+    const openTags = [];
+    for (const line of html.split('\n')) {
+        const start = openTags.join('');
+        for (const [ tag ] of line.matchAll(/<span[^>]*>|<\/span>/g)) {
+            if (tag === '</span>') {
+                openTags.pop();
+            } else {
+                openTags.push(tag);
+            }
+        }
+        lines.push(start + line + '</span>'.repeat(openTags.length));
+    }
+    return lines;
+}
+
+function lineClassName(lineNumber, { highlight, ins, del }) {
+    return [
+        'code-line',
+        highlight.has(lineNumber) && 'code-line-highlight',
+        ins.has(lineNumber) && 'code-line-ins',
+        del.has(lineNumber) && 'code-line-del',
+    ].filter(Boolean).join(' ');
+}
+
+export default function CodeBlock({ language, meta, code, showTitle = true }) {
+    const parsedMeta = parseCodeMeta(meta);
+    const [ copyStatus, setCopyStatus ] = useState();
+
+    async function copy() {
+        // Copy the code without prompts and deleted lines, so that it can be used directly
+        const lines = code.split('\n').filter((line, i) => !parsedMeta.del.has(i + 1));
+        try {
+            await navigator.clipboard.writeText(stripPrompts(lines.join('\n')));
+            setCopyStatus('Copied!');
+        } catch (e) {
+            // The clipboard is unavailable outside secure contexts, and can be blocked by permissions
+            setCopyStatus('Copy failed');
+        }
+        setTimeout(() => setCopyStatus(undefined), 2000);
+    }
+
+    return (
+        <div className="code-block">
+            {showTitle && parsedMeta.title && <div className="code-block-title">{parsedMeta.title}</div>}
+            <button className="code-block-copy" onClick={copy} data-pagefind-ignore="">{copyStatus || 'Copy'}</button>
+            <pre>
+                <code className={language ? `hljs language-${language}` : 'hljs'}>
+                    {highlightLines(code, language).map((line, i) => <span key={i}
+                        className={lineClassName(i + 1, parsedMeta)}
+                        dangerouslySetInnerHTML={{ __html: line || ' ' }}/>)}
+                </code>
+            </pre>
+        </div>
+    );
+}
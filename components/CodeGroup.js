@@ -0,0 +1,63 @@
+import hljs from 'highlight.js';
+import React, { useEffect, useState } from "react";
+import CodeBlock from "./CodeBlock";
+import { parseCodeMeta } from "../lib/codeMeta";
+
+/**
+ * The local storage key under which the last chosen language is remembered across pages.
+ */
+const languageStorageKey = 'code-group-language';
+
+/**
+ * The event that notifies all code groups on a page that a language was chosen.
+ */
+const languageChangeEvent = 'code-group-language-change';
+
+function tabLabel({ language, meta }) {
+    const definition = hljs.getLanguage(language || '');
+    return parseCodeMeta(meta).title || (definition && definition.name) || language || 'Text';
+}
+
+/**
+ * Code blocks shown as tabs, of which the tab of the last chosen language is selected.
+ */
+export default function CodeGroup({ blocks }) {
+    const [ selected, setSelected ] = useState(0);
+
+    useEffect(() => {
+        function selectLanguage(language) {
+            const index = blocks.findIndex(block => block.language === language);
+            if (index >= 0) {
+                setSelected(index);
+            }
+        }
+        selectLanguage(window.localStorage.getItem(languageStorageKey));
+        const listener = event => selectLanguage(event.detail);
+        window.addEventListener(languageChangeEvent, listener);
+        return () => window.removeEventListener(languageChangeEvent, listener);
+    }, []);
+
+    function choose(index) {
+        setSelected(index);
+        const { language } = blocks[index];
+        if (language) {
+            window.localStorage.setItem(languageStorageKey, language);
+            window.dispatchEvent(new CustomEvent(languageChangeEvent, { detail: language }));
+        }
+    }
+
+    return (
+        <div className="code-group">
+            <div className="code-group-tabs" role="tablist" data-pagefind-ignore="">
+                {blocks.map((block, i) => <button key={i} role="tab" aria-selected={i === selected}
+                    className={i === selected ? 'code-group-tab code-group-tab-active' : 'code-group-tab'}
+                    onClick={() => choose(i)}>
+                    {tabLabel(block)}
+                </button>)}
+            </div>
+            {blocks.map((block, i) => <div key={i} role="tabpanel" hidden={i !== selected}>
+                <CodeBlock {...block} showTitle={false}/>
+            </div>)}
+        </div>
+    );
+}
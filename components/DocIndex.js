@@ -1,6 +1,10 @@
+import { getDocVersion } from "../lib/docVersions";
+
 export default function DocIndex ({ path, paths, mattersData, reverse }) {
+    const version = getDocVersion(path);
     let entries = paths
         .filter(p => p.startsWith(path) && p !== path + '/')
+        .filter(p => getDocVersion(p) === version) // Exclude pages of other documentation versions
         .map(p => p.slice(path.length + 1, p.length))
         .filter(p => (p.match(/\//g) || []).length <= 2) // Max depth
         .map(p => ({
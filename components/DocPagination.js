@@ -0,0 +1,17 @@
+export default function DocPagination ({ previous, next }) {
+    if (!previous && !next) {
+        return null;
+    }
+    return (
+        <nav className="doc-pagination" aria-label="Previous and next pages" data-pagefind-ignore="">
+            {previous && <a href={previous.path} className="doc-pagination-previous" rel="prev">
+                <span>Previous</span>
+                {previous.title}
+            </a>}
+            {next && <a href={next.path} className="doc-pagination-next" rel="next">
+                <span>Next</span>
+                {next.title}
+            </a>}
+        </nav>
+    );
+}
@@ -0,0 +1,35 @@
+function containsPath(entry, path) {
+    return entry.path === path || entry.children.some(child => containsPath(child, path));
+}
+
+function SidebarEntries({ entries, path }) {
+    return (
+        <ul>
+            {entries.map(entry => {
+                const link = <a href={entry.path} className={entry.path === path ? 'doc-sidebar-active' : undefined}
+                                aria-current={entry.path === path ? 'page' : undefined}>
+                    {entry.title}
+                </a>;
+                return <li key={entry.path}>
+                    {entry.children.length > 0
+                        ? <details open={containsPath(entry, path)}>
+                            <summary>{link}</summary>
+                            <SidebarEntries entries={entry.children} path={path}/>
+                        </details>
+                        : link}
+                </li>;
+            })}
+        </ul>
+    );
+}
+
+/**
+ * A tree of all pages of the current documentation version, in which the current page is highlighted.
+ */
+export default function DocSidebar({ path, tree }) {
+    return (
+        <nav className="doc-sidebar" aria-label="Documentation" data-pagefind-ignore="">
+            <SidebarEntries entries={tree} path={path.endsWith('/') ? path : path + '/'}/>
+        </nav>
+    );
+}
@@ -0,0 +1,39 @@
+import { formatEventDates, isUpcomingEvent, parseEvent } from "../lib/events";
+
+function eventEntry({ path, data }) {
+    return <a key={path} href={path} className={"index-entry event-entry"}>
+        <h3>{data.title}</h3>
+        <p className={"event-metadata"}>
+            {formatEventDates(path, data)}
+            {data.location && <> · {data.location}</>}
+            {data.type && <> · <span className={"event-type"}>{data.type}</span></>}
+        </p>
+        <p>{data.description}</p>
+    </a>
+}
+
+export default function EventIndex ({ path, paths, mattersData, buildTime }) {
+    const now = new Date(buildTime);
+    const events = paths
+        .filter(p => p.startsWith(path) && p !== path + '/')
+        .filter(p => (p.slice(path.length + 1).match(/\//g) || []).length === 1) // Only files directly under events/
+        .map(p => ({ path: p, data: mattersData[p] }));
+    const startTime = ({ path, data }) => parseEvent(path, data).start.date.getTime();
+    const upcoming = events
+        .filter(({ path, data }) => isUpcomingEvent(path, data, now))
+        .sort((a, b) => startTime(a) - startTime(b));
+    const past = events
+        .filter(({ path, data }) => !isUpcomingEvent(path, data, now))
+        .sort((a, b) => startTime(b) - startTime(a));
+    return (
+        <div className="index">
+            <p>
+                Subscribe to all events via the <a href="/events.ics">iCalendar feed</a>.
+            </p>
+            <h2 id="upcoming-events">Upcoming Events</h2>
+            {upcoming.length > 0 ? upcoming.map(eventEntry) : <p>There are no upcoming events at the moment.</p>}
+            <h2 id="past-events">Past Events</h2>
+            {past.map(eventEntry)}
+        </div>
+    );
+}
@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from "react";
+import { isCostlyBranch, parseExplain } from "../lib/explain";
+import CodeBlock from "./CodeBlock";
+
+function formatNumber(value) {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 3 });
+}
+
+function formatTime(value) {
+    return `${formatNumber(value)}ms`;
+}
+
+/**
+ * Metadata of a plan node that is shown as labels, in the order of the explain output.
+ */
+function getMetrics(node, sources) {
+    return [
+        node.occurrences > 1 && { label: `×${formatNumber(node.occurrences)}`, title: 'Number of times this sub-plan was executed' },
+        node.cardinalityEstimate !== undefined && { label: `est. ~${formatNumber(node.cardinalityEstimate)}`, title: 'Estimated cardinality' },
+        node.cardinalityReal !== undefined && { label: `real ${formatNumber(node.cardinalityReal)}`, title: 'Actual cardinality' },
+        node.timeSelf !== undefined && { label: `self ${formatTime(node.timeSelf)}`, title: 'Time spent in this operation itself' },
+        node.timeLife !== undefined && { label: `life ${formatTime(node.timeLife)}`, title: 'Time between the start and end of this operation' },
+        node.source !== undefined && { label: `src ${node.source}`, title: sources[node.source] || node.source },
+    ].filter(Boolean);
+}
+
+function PlanNode({ node, plan, open }) {
+    const costly = isCostlyBranch(node, plan.maxCost);
+    const summary = (
+        <>
+            <span className="explain-node-operation">{node.logical}{node.physical && `(${node.physical})`}</span>
+            {node.description && <code>{node.description}</code>}
+            {getMetrics(node, plan.sources).map(metric => <span key={metric.label} className="explain-node-metric" title={metric.title}>{metric.label}</span>)}
+            {Object.keys(node.properties).map(key => <span key={key} className="explain-node-property">{key}: <code>{node.properties[key]}</code></span>)}
+        </>
+    );
+    const className = 'explain-node' + (costly ? ' explain-node-costly' : '');
+    if (node.children.length === 0) {
+        return (
+            <li className={className}><div className="explain-node-summary">{summary}</div></li>
+        );
+    }
+    return (
+        <li className={className}>
+            <details open={open}>
+                <summary className="explain-node-summary">{summary}</summary>
+                <ul>
+                    {node.children.map((child, i) => <PlanNode key={i} node={child} plan={plan} open={open}/>)}
+                </ul>
+            </details>
+        </li>
+    );
+}
+
+/**
+ * A collapsible tree of a physical query plan, from the output of Comunica's physical or physical-json explain mode,
+ * in which the costliest branches are highlighted.
+ * The command that produced the output, if it is included, is shown above the tree.
+ */
+export default function ExplainPlan({ code }) {
+    const [ open, setOpen ] = useState(true);
+    // Changing the key remounts the tree, so that all details elements take over the open state
+    const [ generation, setGeneration ] = useState(0);
+    const plan = useMemo(() => {
+        try {
+            return parseExplain(code);
+        } catch (e) {
+            // Only report during the build, and not in the browser
+            if (typeof window === 'undefined') {
+                console.warn(`Could not parse explain block: ${e.message}`);
+            }
+            return { error: e.message };
+        }
+    }, [ code ]);
+
+    const raw = <CodeBlock code={code} language={/^\s*[{[]/.test(code) ? 'json' : 'plaintext'}/>;
+    if (plan.error) {
+        return (
+            <div className="explain-plan">
+                <p className="explain-plan-error">Could not parse this query plan: {plan.error}</p>
+                {raw}
+            </div>
+        );
+    }
+    const toggleAll = value => {
+        setOpen(value);
+        setGeneration(generation + 1);
+    };
+    return (
+        <div className="explain-plan">
+            {plan.command && <CodeBlock language="bash" code={plan.command}/>}
+            <div className="explain-plan-controls">
+                {plan.costMetric && <span>Highlighted branches have the highest {plan.costMetric === 'time' ? 'execution time' : 'cardinality'}.</span>}
+                <button onClick={() => toggleAll(true)}>Expand all</button>
+                <button onClick={() => toggleAll(false)}>Collapse all</button>
+            </div>
+            <ul className="explain-plan-tree" key={generation}>
+                {plan.roots.map((root, i) => <PlanNode key={i} node={root} plan={plan} open={open}/>)}
+            </ul>
+            {Object.keys(plan.sources).length > 0 && <dl className="explain-plan-sources">
+                {Object.keys(plan.sources).map(index => <React.Fragment key={index}>
+                    <dt>src {index}</dt>
+                    <dd><code>{plan.sources[index]}</code></dd>
+                </React.Fragment>)}
+            </dl>}
+            <details>
+                <summary>Raw output</summary>
+                {raw}
+            </details>
+        </div>
+    );
+}
@@ -1,7 +1,10 @@
+import { analyticsConfig } from "../lib/analytics";
+
 export default () => (
   <footer>
     &copy;2018 – {(new Date().getFullYear())}&nbsp;<a href="http://www.ugent.be/">Ghent University</a>&nbsp;–&nbsp;<a href="http://www.imec.be/">imec</a>, Belgium
     <br />
-    <a href="https://github.com/comunica/website">Source of this website</a>
+    <a href="/search/">Search</a>&nbsp;–&nbsp;<a href="https://github.com/comunica/website">Source of this website</a>
+    {analyticsConfig && <>&nbsp;–&nbsp;<a href="#" className="analytics-settings">Analytics settings</a></>}
   </footer>
 );
@@ -1,23 +1,50 @@
 import Head from "next/head";
+import { baseUrl, pageUrl } from "../lib/structuredData";
+import { socialCardHeight, socialCardPath, socialCardWidth } from "../lib/socialCards";
 
-export default ({ title, description }) => (
+/**
+ * Feeds that are advertised on all pages.
+ */
+const defaultFeeds = [
+    { title: 'Comunica – Blog', path: '/' },
+];
+
+/**
+ * The head of a page.
+ * @param title The page title.
+ * @param description The page description.
+ * @param path The path of the page, used for its canonical URL and social card.
+ * @param feeds Additional feeds to advertise, with a title and path.
+ * @param structuredData Schema.org objects describing the page, which are embedded as JSON-LD.
+ */
+export default ({ title, description, path = '/', feeds = [], structuredData = [] }) => (
     <Head>
         <title>Comunica – {title}</title>
         <link rel="icon" href="/favicon.ico"/>
+        <link rel="canonical" href={pageUrl(path)} />
         <link rel="foaf:primaryTopic" href="/#software" />
         <link rel="foaf:maker" href="https://www.rubensworks.net/#me" />
-        <link rel="alternate" type="application/rss+xml" title="Comunica – Blog" href="/rss-feed.xml" />
-        <meta property="og:image" content="/img/comunica_red.svg" />
+        {[...defaultFeeds, ...feeds].map(feed => [
+            <link key={`${feed.path}rss`} rel="alternate" type="application/rss+xml" title={feed.title} href={`${feed.path}rss-feed.xml`} />,
+            <link key={`${feed.path}atom`} rel="alternate" type="application/atom+xml" title={feed.title} href={`${feed.path}atom-feed.xml`} />,
+            <link key={`${feed.path}json`} rel="alternate" type="application/feed+json" title={feed.title} href={`${feed.path}feed.json`} />,
+        ])}
+        <meta property="og:image" content={baseUrl + socialCardPath(path)} />
+        <meta property="og:image:width" content={socialCardWidth} />
+        <meta property="og:image:height" content={socialCardHeight} />
+        <meta property="og:image:alt" content={`Comunica – ${title}`} />
         <meta property="og:title" content={`Comunica – ${title}`} />
         <meta property="og:description" content={`${description.replace(/\n/g, ' ')}`} />
-        <meta property="og:url" content="/" />
+        <meta property="og:url" content={pageUrl(path)} />
         <meta property="og:locale" content="en_US" />
         <meta property="og:site_name" content={`Comunica – ${title}`} />
         <meta property="og:type" content="website" />
         <meta name="twitter:site" content="@comunicajs" />
-        <meta name="twitter:card" content="summary" />
+        <meta name="twitter:card" content="summary_large_image" />
         <meta name="twitter:title" content={`Comunica – ${title}`} />
         <meta name="twitter:description" content={`${description.replace(/\n/g, ' ')}`} />
-        <meta name="twitter:image" content="https://comunica.dev/img/comunica_red.png" />
+        <meta name="twitter:image" content={baseUrl + socialCardPath(path)} />
+        {structuredData.filter(Boolean).map((data, i) =>
+            <script key={`ld-json-${i}`} type="application/ld+json" dangerouslySetInnerHTML={{ __html: JSON.stringify(data).replace(/</g, '\\u003c') }} />)}
     </Head>
 );
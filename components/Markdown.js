@@ -1,18 +1,34 @@
-import Highlight from 'react-highlight';
 import ReactMarkdown from 'react-markdown';
 import React from 'react';
 import gfm from 'remark-gfm';
 import rehypeRaw from 'rehype-raw'
-import rehypeSanitize from 'rehype-sanitize'
+import { remarkHeadingIds } from '../lib/headings';
+import { parseCodeMeta, remarkCodeGroups, remarkCodeMeta } from '../lib/codeMeta';
+import { rehypeSanitizeReported } from '../lib/sanitize';
+import { remarkAdmonitions } from '../lib/admonitions';
+import CodeBlock from './CodeBlock';
+import CodeGroup from './CodeGroup';
+import ExplainPlan from './ExplainPlan';
+import SparqlRunner from './SparqlRunner';
+import ThemedImage from './ThemedImage';
 
-export default function Markdown({body}) {
+/**
+ * Render markdown, in which HTML is sanitized.
+ * @param body The markdown string.
+ * @param remote If the markdown comes from an outside source, such as a GitHub issue, for which sanitization is strict.
+ * @param source A description of where the markdown comes from, used when reporting stripped HTML.
+ */
+export default function Markdown({ body, remote = false, source }) {
     return (
         <ReactMarkdown
-            rehypePlugins={[rehypeRaw/*, rehypeSanitize*/]}
-            plugins={[gfm]}
+            rehypePlugins={[rehypeRaw, [rehypeSanitizeReported, { remote, source }]]}
+            plugins={[gfm, remarkHeadingIds, remarkCodeMeta, remarkCodeGroups, remarkAdmonitions]}
             children={body}
             components={{
-                code: CodeBlock,
+                pre: Pre,
+                code: Code,
+                'code-group': Group,
+                img: Image,
                 h1: Heading,
                 h2: Heading,
                 h3: Heading,
@@ -24,28 +40,59 @@ export default function Markdown({body}) {
     );
 }
 
-const CodeBlock = (ctx) => {
-    if (ctx.inline) {
+/**
+ * Extract the language, meta string and code of a fenced code block from the children of a pre element.
+ */
+function getCodeBlock(children) {
+    const code = React.Children.toArray(children)[0];
+    if (!code || !code.props || code.props.inline) {
+        return;
+    }
+    return {
+        language: (code.props.className || '').replace(/^language-/, '') || undefined,
+        meta: code.props['data-meta'],
+        code: React.Children.toArray(code.props.children).join('').replace(/\n$/, ''),
+    };
+}
+
+const Pre = (ctx) => {
+    const block = getCodeBlock(ctx.children);
+    if (!block) {
         return (
-            <code>{ctx.children}</code>
+            <pre>{ctx.children}</pre>
+        )
+    }
+    if (block.language === 'sparql' && parseCodeMeta(block.meta).flags.includes('runnable')) {
+        return (
+            <SparqlRunner code={block.code}/>
+        )
+    }
+    if (block.language === 'explain') {
+        return (
+            <ExplainPlan code={block.code}/>
         )
     }
     return (
-        <Highlight className={ctx.className}>
-            {ctx.children}
-        </Highlight>
+        <CodeBlock {...block}/>
     )
 }
 
-const Heading = (props) => {
-    const children = React.Children.toArray(props.children)
-    const text = children.reduce(flatten, '')
-    const slug = text.toLowerCase().replace(/\W/g, '-')
-    return React.createElement('h' + props.level, {id: slug}, props.children)
-}
+const Code = (ctx) => (
+    <code>{ctx.children}</code>
+)
 
-function flatten(text, child) {
-    return typeof child === 'string'
-        ? text + child
-        : React.Children.toArray(child.props.children).reduce(flatten, text)
-}
+const Group = (ctx) => (
+    <CodeGroup blocks={React.Children.toArray(ctx.children)
+        .map(child => child.props && getCodeBlock(child.props.children))
+        .filter(Boolean)}/>
+)
+
+const Image = ({ node, ...props }) => (
+    <ThemedImage {...props}/>
+)
+
+const Heading = (props) => (
+    React.createElement('h' + props.level, { id: props.id },
+        props.children,
+        props.id && <a className="heading-anchor" href={'#' + props.id} aria-label="Link to this section" data-pagefind-ignore="">#</a>)
+)
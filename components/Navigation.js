@@ -18,6 +18,13 @@ export default class Navigation extends React.Component {
                 <li><a href="/events/">Events</a></li>
 				<li><a href="/association/">Association</a></li>
                 <li><a href="https://github.com/comunica/comunica">GitHub</a></li>
+                <li>
+                    <select className="theme-switcher" aria-label="Theme" defaultValue="system">
+                        <option value="system">◐ System</option>
+                        <option value="light">☀ Light</option>
+                        <option value="dark">☾ Dark</option>
+                    </select>
+                </li>
                 <li className="nav-search-desktop">
                     <pagefind-modal-trigger placeholder="Search…"></pagefind-modal-trigger>
                 </li>
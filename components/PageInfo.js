@@ -0,0 +1,28 @@
+/**
+ * Format an ISO date as a date in UTC, so that it is the same during rendering and hydration.
+ * @param {string} date An ISO date.
+ * @return {string}
+ */
+export function formatUpdateDate(date) {
+    return new Date(date)
+        .toLocaleDateString("en-US", { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * When a page was last updated, who contributed to it, and where it can be edited.
+ */
+export default function PageInfo({ pageInfo }) {
+    if (!pageInfo) {
+        return null;
+    }
+    const { lastUpdated, contributors, editUrl } = pageInfo;
+    return (
+        <div className="page-info" data-pagefind-ignore="">
+            {lastUpdated && <p>
+                Last updated on <time dateTime={lastUpdated}>{formatUpdateDate(lastUpdated)}</time>
+                {contributors.length > 0 && <> by {contributors.join(', ')}</>}
+            </p>}
+            <p><a href={editUrl}>Edit this page on GitHub</a></p>
+        </div>
+    );
+}
@@ -0,0 +1,12 @@
+import { formatUpdateDate } from "./PageInfo";
+
+export default function RecentlyUpdated ({ pages }) {
+    return (
+        <ul className="recently-updated">
+            {pages.map(page => <li key={page.path}>
+                <a href={page.path}>{page.title}</a>
+                <span className="date"><time dateTime={page.lastUpdated}>{formatUpdateDate(page.lastUpdated)}</time></span>
+            </li>)}
+        </ul>
+    );
+}
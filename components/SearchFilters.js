@@ -0,0 +1,10 @@
+/**
+ * Invisible Pagefind filters of a page, such as 'section:docs/query', which the search page can filter on.
+ */
+export default function SearchFilters({ filters }) {
+    return (
+        <div hidden data-pagefind-ignore="">
+            {filters.map(filter => <span key={filter} data-pagefind-filter={filter}/>)}
+        </div>
+    );
+}
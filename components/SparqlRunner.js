@@ -0,0 +1,181 @@
+import React, { useState } from "react";
+
+/**
+ * Result formats that can be chosen besides the default HTML table,
+ * as listed in /docs/query/advanced/result_formats/.
+ */
+const resultFormats = [
+    'application/json',
+    'simple',
+    'application/sparql-results+json',
+    'application/sparql-results+xml',
+    'text/csv',
+    'text/tab-separated-values',
+    'stats',
+    'table',
+    'tree',
+    'application/trig',
+    'application/n-quads',
+    'text/turtle',
+    'application/n-triples',
+    'text/n3',
+    'application/ld+json',
+];
+
+let enginePromise;
+
+/**
+ * Load the query engine and RDF parser on first use, so they are not part of the page bundle.
+ */
+function loadEngine() {
+    if (!enginePromise) {
+        enginePromise = Promise.all([ import('@comunica/query-sparql-rdfjs'), import('n3') ])
+            .then(([ { QueryEngine }, n3 ]) => ({ engine: new QueryEngine(), n3 }));
+    }
+    return enginePromise;
+}
+
+/**
+ * Split the contents of a runnable block into the query and the Turtle/TriG dataset,
+ * which are separated by a line containing '---'.
+ * @param {string} code The contents of the code block.
+ * @return {{query: string, data: string}}
+ */
+export function parseRunnableBlock(code) {
+    const [ query, ...data ] = code.split(/^---[ \t]*$/m);
+    return { query: query.trim(), data: data.join('---').trim() };
+}
+
+function streamToString(stream) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        stream.on('data', chunk => text += chunk);
+        stream.on('error', reject);
+        stream.on('end', () => resolve(text));
+    });
+}
+
+function formatTerm(term) {
+    if (!term) {
+        return '';
+    }
+    switch (term.termType) {
+        case 'NamedNode':
+            return `<${term.value}>`;
+        case 'BlankNode':
+            return `_:${term.value}`;
+        case 'Literal':
+            if (term.language) {
+                return `"${term.value}"@${term.language}`;
+            }
+            if (term.datatype.value !== 'http://www.w3.org/2001/XMLSchema#string') {
+                return `"${term.value}"^^<${term.datatype.value}>`;
+            }
+            return `"${term.value}"`;
+        case 'DefaultGraph':
+            return '';
+        case 'Quad':
+            return `<< ${formatTerm(term.subject)} ${formatTerm(term.predicate)} ${formatTerm(term.object)} >>`;
+        default:
+            return term.value;
+    }
+}
+
+/**
+ * Execute a query over a dataset, and return the results as table or serialized in the given format.
+ */
+async function executeQuery(query, data, format) {
+    const { engine, n3 } = await loadEngine();
+    const store = new n3.Store(new n3.Parser({ format: 'application/trig' }).parse(data));
+    const result = await engine.query(query, { sources: [ store ] });
+    if (format) {
+        const { data: stream } = await engine.resultToString(result, format);
+        return { text: await streamToString(stream) };
+    }
+    switch (result.resultType) {
+        case 'bindings': {
+            const variables = (await result.metadata()).variables.map(variable => variable.value);
+            const bindings = await (await result.execute()).toArray();
+            return {
+                columns: variables,
+                rows: bindings.map(binding => variables.map(variable => formatTerm(binding.get(variable)))),
+            };
+        }
+        case 'quads': {
+            const quads = await (await result.execute()).toArray();
+            return {
+                columns: [ 'subject', 'predicate', 'object', 'graph' ],
+                rows: quads.map(quad => [ quad.subject, quad.predicate, quad.object, quad.graph ].map(formatTerm)),
+            };
+        }
+        case 'boolean':
+            return { text: String(await result.execute()) };
+        default:
+            await result.execute();
+            return { text: 'Update executed.' };
+    }
+}
+
+function Results({ results }) {
+    if (results.text !== undefined) {
+        return <pre className="sparql-runner-output">{results.text}</pre>;
+    }
+    return (
+        <div className="sparql-runner-output">
+            <table>
+                <thead>
+                <tr>{results.columns.map(column => <th key={column}>{column}</th>)}</tr>
+                </thead>
+                <tbody>
+                {results.rows.map((row, i) => <tr key={i}>
+                    {row.map((cell, j) => <td key={j}>{cell}</td>)}
+                </tr>)}
+                </tbody>
+            </table>
+            <p>{results.rows.length} result{results.rows.length === 1 ? '' : 's'}</p>
+        </div>
+    );
+}
+
+/**
+ * An editable SPARQL query that can be executed in the browser over an inline dataset.
+ */
+export default function SparqlRunner({ code }) {
+    const { query: initialQuery, data } = parseRunnableBlock(code);
+    const [ query, setQuery ] = useState(initialQuery);
+    const [ format, setFormat ] = useState('');
+    const [ state, setState ] = useState({});
+
+    async function run() {
+        setState({ running: true });
+        try {
+            setState({ results: await executeQuery(query, data, format) });
+        } catch (error) {
+            setState({ error: error.message });
+        }
+    }
+
+    return (
+        <div className="sparql-runner">
+            <textarea value={query} onChange={event => setQuery(event.target.value)}
+                      rows={query.split('\n').length + 1} spellCheck={false} aria-label="SPARQL query"/>
+            <div className="sparql-runner-controls">
+                <button onClick={run} disabled={state.running}>{state.running ? 'Running…' : 'Run query'}</button>
+                <button onClick={() => setQuery(initialQuery)} disabled={query === initialQuery}>Reset</button>
+                <label>
+                    Result format{' '}
+                    <select value={format} onChange={event => setFormat(event.target.value)}>
+                        <option value="">HTML table</option>
+                        {resultFormats.map(mediaType => <option key={mediaType} value={mediaType}>{mediaType}</option>)}
+                    </select>
+                </label>
+            </div>
+            {data && <details>
+                <summary>Dataset</summary>
+                <pre>{data}</pre>
+            </details>}
+            {state.error && <pre className="sparql-runner-error">{state.error}</pre>}
+            {state.results && <Results results={state.results}/>}
+        </div>
+    );
+}
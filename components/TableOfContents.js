@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * The height of the fixed navigation bar, below which headings are considered to be scrolled past.
+ */
+const navigationOffset = 70;
+
+function flattenEntries(toc) {
+    return toc.flatMap(entry => [ entry, ...flattenEntries(entry.children || []) ]);
+}
+
+function TocEntries({ entries, activeId }) {
+    return (
+        <ol className="headers-overview-elements">
+            {entries.map(entry => <li key={entry.id}>
+                <a href={'#' + entry.id}
+                   className={entry.id === activeId ? 'headers-overview-element headers-overview-element-active' : 'headers-overview-element'}>
+                    {entry.text}
+                </a>
+                {entry.children && entry.children.length > 0 && <TocEntries entries={entry.children} activeId={activeId}/>}
+            </li>)}
+        </ol>
+    );
+}
+
+/**
+ * The "On this page" overview of the headings of a page,
+ * in which the section that is currently being read is highlighted.
+ */
+export default function TableOfContents({ toc }) {
+    const [ activeId, setActiveId ] = useState();
+
+    useEffect(() => {
+        const headings = flattenEntries(toc)
+            .map(entry => document.getElementById(entry.id))
+            .filter(Boolean);
+        // The active heading is the last one that has been scrolled past,
+        // which can only change when a heading crosses the bottom of the navigation bar.
+        const observer = new IntersectionObserver(() => {
+            const scrolledPast = headings.filter(heading => heading.getBoundingClientRect().top <= navigationOffset);
+            setActiveId(scrolledPast.length > 0 ? scrolledPast[scrolledPast.length - 1].id : undefined);
+        }, { rootMargin: `-${navigationOffset}px 0px 0px 0px` });
+        headings.forEach(heading => observer.observe(heading));
+        return () => observer.disconnect();
+    }, [ toc ]);
+
+    if (toc.length === 0) {
+        return null;
+    }
+    return (
+        <div className="headers-overview" data-pagefind-ignore="">
+            <p>On this page</p>
+            <TocEntries entries={toc} activeId={activeId}/>
+        </div>
+    );
+}
@@ -0,0 +1,12 @@
+import { tagPath } from "../lib/tags";
+
+export default function Tags ({ tags }) {
+    if (!tags || tags.length === 0) {
+        return null;
+    }
+    return (
+        <ul className="tags">
+            {tags.map(tag => <li key={tag}><a href={tagPath(tag)}>{tag}</a></li>)}
+        </ul>
+    );
+}
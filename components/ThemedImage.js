@@ -0,0 +1,19 @@
+import { darkVariantPath, hasDarkVariant } from "../lib/darkImages";
+
+/**
+ * An image that is swapped for its generated dark variant in the dark theme, if it has one.
+ */
+export default function ThemedImage({ src, className, ...props }) {
+    if (!hasDarkVariant(src)) {
+        return (
+            <img src={src} className={className} {...props}/>
+        );
+    }
+    const classes = className ? className + ' ' : '';
+    return (
+        <>
+            <img src={src} className={classes + 'theme-light-image'} {...props}/>
+            <img src={darkVariantPath(src)} className={classes + 'theme-dark-image'} loading="lazy" {...props}/>
+        </>
+    );
+}
@@ -0,0 +1,30 @@
+import { docVersions, getDocVersion, getVersionedPath, latestDocVersion } from "../lib/docVersions";
+
+export default function VersionSwitcher ({ path, paths }) {
+    const version = getDocVersion(path);
+    if (!version) {
+        return null;
+    }
+    // Stay on the same page in other versions, or go to the root of that version if the page does not exist there
+    const targets = Object.fromEntries(docVersions.map(v => {
+        const target = getVersionedPath(path, v);
+        return [ v.id, paths.includes(target) ? target : v.path ];
+    }));
+    return (
+        <div className="doc-version" data-pagefind-ignore="" data-pagefind-filter={`version:${version.label}`}>
+            {/* The version is still indexed as search filter if there are no other versions to switch to */}
+            {docVersions.length > 1 && <label>
+                Version{' '}
+                <select value={version.id} onChange={event => window.location.href = targets[event.target.value]}>
+                    {docVersions.map(v => <option key={v.id} value={v.id}>
+                        {v.label}{v === latestDocVersion ? ' (latest)' : ''}
+                    </option>)}
+                </select>
+            </label>}
+            {version !== latestDocVersion && <p className="old-docs">
+                You are viewing the documentation of Comunica {version.label}, which is not the latest version.
+                {' '}<a href={targets[latestDocVersion.id]}>View the latest documentation.</a>
+            </p>}
+        </div>
+    );
+}
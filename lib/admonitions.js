@@ -0,0 +1,86 @@
+/**
+ * Kinds of admonitions, with their default titles.
+ */
+const admonitionTypes = {
+    note: 'Note',
+    tip: 'Tip',
+    warning: 'Warning',
+    deprecated: 'Deprecated',
+};
+
+const openingPattern = new RegExp(`^:::(${Object.keys(admonitionTypes).join('|')})(?:[ \\t]+([^\\n]*))?(?:\\n|$)`);
+const closingPattern = /(?:^|\n):::[ \t]*$/;
+
+function firstText(node) {
+    const child = node.type === 'paragraph' && node.children[0];
+    return child && child.type === 'text' ? child : undefined;
+}
+
+function lastText(node) {
+    const child = node.type === 'paragraph' && node.children[node.children.length - 1];
+    return child && child.type === 'text' ? child : undefined;
+}
+
+/**
+ * Remark plugin that turns containers such as the following into callout boxes:
+ *
+ *   :::warning Optional title
+ *   This is *markdown* content.
+ *   :::
+ *
+ * Supported types are note, tip, warning, and deprecated.
+ * A container without closing line extends until the end of its parent,
+ * such as when a blog excerpt ends within a container.
+ */
+function remarkAdmonitions() {
+    return tree => transform(tree);
+}
+
+function transform(node) {
+    if (!node.children) {
+        return;
+    }
+    for (let start = 0; start < node.children.length; start++) {
+        const opening = firstText(node.children[start]);
+        const match = opening && openingPattern.exec(opening.value);
+        if (!match) {
+            transform(node.children[start]);
+            continue;
+        }
+        const [ line, type, title ] = match;
+        opening.value = opening.value.slice(line.length);
+
+        // Find the paragraph that ends with the closing line, which may be the opening paragraph itself
+        let end = node.children.findIndex((child, i) => i >= start && lastText(child) && closingPattern.test(lastText(child).value));
+        if (end < 0) {
+            end = node.children.length - 1;
+        } else {
+            const closing = lastText(node.children[end]);
+            closing.value = closing.value.replace(closingPattern, '');
+        }
+        const children = node.children.slice(start, end + 1)
+            .filter(child => child.type !== 'paragraph' || child.children.some(c => c.type !== 'text' || c.value.trim()));
+        children.forEach(transform);
+
+        node.children.splice(start, end - start + 1, {
+            type: 'admonition',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [ { type: 'text', value: title || admonitionTypes[type] } ],
+                    data: { hProperties: { className: [ 'admonition-title' ] } },
+                },
+                ...children,
+            ],
+            data: {
+                hName: 'div',
+                hProperties: { className: [ 'admonition', `admonition-${type}` ], role: 'note' },
+            },
+        });
+    }
+}
+
+module.exports = {
+    admonitionTypes,
+    remarkAdmonitions,
+};
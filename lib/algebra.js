@@ -0,0 +1,133 @@
+const JSON5 = require('json5');
+const { Parser } = require('@traqula/parser-sparql-1-2');
+const { toAlgebra, toAst } = require('@traqula/algebra-sparql-1-2');
+const { Generator } = require('@traqula/generator-sparql-1-2');
+
+/**
+ * The options with which Comunica's SPARQL parse actor converts queries to algebra.
+ */
+const algebraOptions = { quads: true, blankToVariable: true };
+
+let parser;
+let generator;
+
+/**
+ * Create the SPARQL parser on first use, as building it is expensive.
+ */
+function getParser() {
+    if (!parser) {
+        parser = new Parser({
+            lexerConfig: { positionTracking: 'full' },
+            // Keep the token at which parsing failed, instead of only a formatted message
+            errorHandler: errors => {
+                throw Object.assign(new Error(errors[0].message), { token: errors[0].token });
+            },
+        });
+    }
+    return parser;
+}
+
+function getGenerator() {
+    if (!generator) {
+        generator = new Generator();
+    }
+    return generator;
+}
+
+/**
+ * Determine the line and column of an offset in a text, both starting at 1.
+ * @param {string} text
+ * @param {number} offset
+ * @return {{line: number, column: number}}
+ */
+function offsetToPosition(text, offset) {
+    const lines = text.slice(0, offset).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Find the first match of a pattern in a query, outside of comments and string literals.
+ * @param {string} query
+ * @param {RegExp} pattern A global pattern.
+ * @param {boolean} skipIris If matches within IRIs such as <http://example.org/> should also be skipped.
+ * @return {number|undefined} The offset of the match.
+ */
+function findInQuery(query, pattern, skipIris) {
+    // Blank out skipped parts, so that offsets stay the same, where IRIs are matched first as they may contain '#'
+    const masked = query.replace(/<[^<>"{}|^`\\\s]*>|'''[\s\S]*?'''|"""[\s\S]*?"""|'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"|#[^\n]*/g,
+        match => match.startsWith('<') && !skipIris ? match : match.replace(/[^\n]/g, ' '));
+    const match = pattern.exec(masked);
+    return match ? match.index : undefined;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Determine where parsing a query failed.
+ * For errors that are not syntax errors, such as unknown prefixes and relative IRIs without base IRI,
+ * this is where the prefixed name or IRI first occurs in the query, and unknown for other errors.
+ * @param {string} query
+ * @param {Error} error
+ * @return {{line?: number, column?: number}}
+ */
+function getErrorPosition(query, error) {
+    if (error.token) {
+        // The end of the query has no line
+        return Number.isNaN(error.token.startLine)
+            ? offsetToPosition(query, query.length)
+            : { line: error.token.startLine, column: error.token.startColumn };
+    }
+    let offset;
+    const unknownPrefix = /^Unknown prefix: (.*)$/.exec(error.message);
+    const relativeIri = /^Cannot resolve relative IRI (.*) because no base IRI was set\.$/.exec(error.message);
+    const offsetInMessage = /at offset: (\d+)/.exec(error.message);
+    if (unknownPrefix) {
+        offset = findInQuery(query, new RegExp(`(?<![\\w.:?$-])${escapeRegex(unknownPrefix[1])}:`, 'u'), true);
+    } else if (relativeIri) {
+        offset = findInQuery(query, new RegExp(`<${escapeRegex(relativeIri[1])}>`, 'u'), false);
+    } else if (offsetInMessage) {
+        offset = Number(offsetInMessage[1]);
+    }
+    return offset === undefined ? {} : offsetToPosition(query, offset);
+}
+
+/**
+ * Convert a SPARQL query or update into algebra, in the same way as Comunica.
+ * @param {string} query
+ * @return {{algebra?: object, error?: {message: string, line?: number, column?: number}}}
+ */
+function sparqlToAlgebra(query) {
+    try {
+        return { algebra: toAlgebra(getParser().parse(query), algebraOptions) };
+    } catch (e) {
+        return { error: { message: e.message, ...getErrorPosition(query, e) } };
+    }
+}
+
+/**
+ * Convert algebra in JSON back into a SPARQL query or update.
+ * The JSON may be written more loosely as JSON5, such as with comments and trailing commas.
+ * @param {string} json
+ * @return {{algebra?: object, query?: string, error?: {message: string, line?: number, column?: number}}}
+ * The error is either about parsing the JSON, in which case no algebra is returned, or about converting the algebra.
+ */
+function algebraToSparql(json) {
+    let algebra;
+    try {
+        algebra = JSON5.parse(json);
+    } catch (e) {
+        return { error: { message: e.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, ''), line: e.lineNumber, column: e.columnNumber } };
+    }
+    try {
+        return { algebra, query: getGenerator().generate(toAst(algebra)) };
+    } catch (e) {
+        return { algebra, error: { message: e.message } };
+    }
+}
+
+module.exports = {
+    sparqlToAlgebra,
+    algebraToSparql,
+};
@@ -0,0 +1,119 @@
+/**
+ * The key under which the analytics consent of a reader is stored in localStorage.
+ */
+const analyticsConsentKey = 'analytics-consent';
+
+/**
+ * Supported analytics providers, which load their tracking script only once a reader has given consent.
+ */
+const analyticsProviders = {
+    google: {
+        defaultId: 'G-HT178MX8JL',
+        async load({ id }) {
+            const ReactGA = (await import('react-ga4')).default;
+            ReactGA.initialize(id);
+            ReactGA.send({ hitType: 'pageview', page: window.location.pathname });
+        },
+    },
+    // Plausible does not use cookies, and is hosted by ourselves at the configured URL
+    plausible: {
+        defaultId: 'comunica.dev',
+        requiresUrl: true,
+        load({ id, url }) {
+            const script = document.createElement('script');
+            script.defer = true;
+            script.dataset.domain = id;
+            script.src = new URL('/js/script.js', url).href;
+            document.head.appendChild(script);
+        },
+    },
+};
+
+/**
+ * Determine the analytics configuration.
+ * @param {object} options Options that are read from environment variables.
+ * @param {string} [options.provider] One of the keys of analyticsProviders, or 'none'. Defaults to 'google'.
+ * @param {string} [options.id] The provider-specific site id, which defaults to that of comunica.dev.
+ * @param {string} [options.url] The URL at which the provider is hosted, required for self-hosted providers.
+ * @return {{provider: string, id: string, url?: string}|null} The configuration, or null if analytics is disabled.
+ */
+function getAnalyticsConfig({ provider = 'google', id, url }) {
+    if (provider === 'none') {
+        return null;
+    }
+    const providerConfig = analyticsProviders[provider];
+    if (!providerConfig) {
+        throw new Error(`Unknown analytics provider '${provider}', must be one of ${Object.keys(analyticsProviders).join(', ')}, or none`);
+    }
+    if (providerConfig.requiresUrl && !url) {
+        throw new Error(`The analytics provider '${provider}' requires NEXT_PUBLIC_ANALYTICS_URL to be set`);
+    }
+    return { provider, id: id || providerConfig.defaultId, url };
+}
+
+/**
+ * The analytics configuration of this build.
+ * These variables are inlined when building, so they can not be read dynamically.
+ */
+const analyticsConfig = getAnalyticsConfig({
+    provider: process.env.NEXT_PUBLIC_ANALYTICS_PROVIDER || undefined,
+    id: process.env.NEXT_PUBLIC_ANALYTICS_ID || undefined,
+    url: process.env.NEXT_PUBLIC_ANALYTICS_URL || undefined,
+});
+
+/**
+ * Determine the stored analytics consent.
+ * @return {'granted'|'denied'|undefined} Undefined if the reader has not made a choice yet.
+ */
+function getAnalyticsConsent() {
+    try {
+        const consent = localStorage.getItem(analyticsConsentKey);
+        return consent === 'granted' || consent === 'denied' ? consent : undefined;
+    } catch (e) {
+        // localStorage may be unavailable, such as in private browsing modes
+        return undefined;
+    }
+}
+
+/**
+ * Store the analytics consent.
+ * @param {'granted'|'denied'} consent
+ */
+function setAnalyticsConsent(consent) {
+    try {
+        localStorage.setItem(analyticsConsentKey, consent);
+    } catch (e) {
+        // The choice then only applies to the current page
+    }
+}
+
+/**
+ * Check if the reader's browser asks not to be tracked, via Do Not Track or Global Privacy Control.
+ * @return {boolean}
+ */
+function isDoNotTrackEnabled() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+let analyticsLoaded = false;
+
+/**
+ * Load the tracking script of the configured provider, which must only be called after consent was granted.
+ */
+function loadAnalytics() {
+    if (!analyticsConfig || analyticsLoaded) {
+        return;
+    }
+    analyticsLoaded = true;
+    analyticsProviders[analyticsConfig.provider].load(analyticsConfig);
+}
+
+module.exports = {
+    analyticsProviders,
+    getAnalyticsConfig,
+    analyticsConfig,
+    getAnalyticsConsent,
+    setAnalyticsConsent,
+    isDoNotTrackEnabled,
+    loadAnalytics,
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+require('cross-fetch/polyfill');
+
+/**
+ * GitHub GraphQL query for one page of bounty issues.
+ * @type {string}
+ */
+const issuesQuery = `
+  query($cursor: String) {
+    search(type: ISSUE, query: "label:comunica-association-bounty", first: 100, after: $cursor) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        ... on Issue {
+          state
+          title
+          url
+          number
+          repository {
+            name
+            nameWithOwner
+            url
+            description
+          }
+          body
+          createdAt
+          closedAt
+          assignees(first: 10) {
+            totalCount
+            nodes {
+              name
+              avatarUrl
+              url
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Fetch all bounty issues from the GitHub API, following all result pages.
+ * @param {string} token A GitHub API token.
+ * @return {Promise<Object[]>} GitHub issue nodes.
+ */
+async function fetchIssues(token) {
+    const issues = [];
+    let cursor = null;
+    do {
+        const response = await fetch('https://api.github.com/graphql', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                authorization: `bearer ${token}`,
+            },
+            body: JSON.stringify({ query: issuesQuery, variables: { cursor } }),
+        });
+        if (!response.ok) {
+            throw new Error(`Invalid GitHub API response: HTTP status ${response.status}`);
+        }
+        const { data, errors } = await response.json();
+        if (errors) {
+            throw new Error(`Invalid GitHub API response: ${errors.map(error => error.message).join(', ')}`);
+        }
+        issues.push(...data.search.nodes);
+        cursor = data.search.pageInfo.hasNextPage ? data.search.pageInfo.endCursor : null;
+    } while (cursor);
+    return issues;
+}
+
+/**
+ * Read bounty issues from a JSON snapshot, containing an array of GitHub issue nodes.
+ * @param {string} snapshotPath Path to the snapshot.
+ * @return {Promise<Object[]>} GitHub issue nodes.
+ */
+async function readSnapshot(snapshotPath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(snapshotPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Could not read bounties snapshot ${snapshotPath}: ${e.message}`);
+    }
+}
+
+/**
+ * Parse an amount in euro, such as '€ 2.500', '€1,500.50' or '500 EUR'.
+ * @param {string} text A text that may contain an amount.
+ * @return {number|undefined} The amount, or undefined if none was found.
+ */
+function parseEuroAmount(text) {
+    const match = /(?:€|EUR)\s*([0-9][0-9.,\s]*)|([0-9][0-9.,\s]*?)\s*(?:€|EUR)/iu.exec(text);
+    if (!match) {
+        return;
+    }
+    let number = (match[1] || match[2]).replace(/\s/gu, '').replace(/[.,]$/u, '');
+    // A separator followed by one or two digits at the end is a decimal separator, others separate thousands
+    const decimal = /[.,]([0-9]{1,2})$/u.exec(number);
+    let fraction = 0;
+    if (decimal) {
+        fraction = Number.parseInt(decimal[1], 10) / (decimal[1].length === 1 ? 10 : 100);
+        number = number.slice(0, decimal.index);
+    }
+    return Number.parseInt(number.replace(/[.,]/gu, ''), 10) + fraction;
+}
+
+/**
+ * Determine the sponsor name and url within a markdown or HTML table cell.
+ * Image alt texts and titles take precedence over link texts.
+ * @param {string} cell A table cell.
+ * @return {{name: string, url: string|null}}
+ */
+function parseSponsorCell(cell) {
+    const image = /<img[^>]*\b(?:alt|title)="([^"]+)"/iu.exec(cell) || /!\[([^\]]+)\]/u.exec(cell);
+    const link = /<a[^>]*\bhref="([^"]+)"[^>]*>([\s\S]*?)<\/a>/iu.exec(cell);
+    const markdownLink = /\[([^\]]*(?:\[[^\]]*\][^\]]*)?)\]\(([^)\s]+)\)/u.exec(cell);
+    const url = link ? link[1] : markdownLink ? markdownLink[2] : null;
+    const text = cell
+        .replace(/<[^>]*>/gu, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/gu, '$1')
+        .replace(/[*_`]/gu, '')
+        .trim();
+    return { name: image ? image[1].trim() : text, url };
+}
+
+/**
+ * Split a markdown or HTML table into rows of cells, ignoring markdown separator rows.
+ * @param {string} block A text containing a table.
+ * @return {string[][]}
+ */
+function parseTableRows(block) {
+    if (/<tr/iu.test(block)) {
+        return [ ...block.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/giu) ]
+            .map(row => [ ...row[1].matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/giu) ].map(cell => cell[1].trim()));
+    }
+    return block.split('\n')
+        .filter(line => line.trim().startsWith('|'))
+        .map(line => line.trim().replace(/^\|/u, '').replace(/\|$/u, '').split('|').map(cell => cell.trim()))
+        .filter(cells => !cells.every(cell => /^:?-+:?$/u.test(cell)));
+}
+
+/**
+ * Parse the sponsors block of a bounty issue body into sponsor names and amounts.
+ *
+ * The block is delimited by `<!--bounty:placers:start-->` and `<!--bounty:placers:end-->`,
+ * and contains a table with either one sponsor per row (name and amount cells),
+ * or one sponsor per column (a row of names followed by a row of amounts).
+ *
+ * @param {string} body An issue body.
+ * @return {{block: string, sponsors: {name: string, url: string|null, amount: number|null}[]}}
+ */
+function parseSponsors(body) {
+    const start = body.indexOf('<!--bounty:placers:start-->');
+    const end = body.indexOf('<!--bounty:placers:end-->');
+    if (start < 0 || end < 0 || start > end) {
+        return { block: '', sponsors: [] };
+    }
+    const block = body.slice(start, end);
+    const rows = parseTableRows(block).filter(cells => cells.some(cell => cell.length > 0));
+
+    // One sponsor per column
+    const hasAmount = cell => parseEuroAmount(cell) !== undefined;
+    const amountRowIndex = rows.findIndex(cells => cells.every(hasAmount));
+    if (amountRowIndex > 0 && !rows[amountRowIndex - 1].some(hasAmount)) {
+        const sponsors = rows[amountRowIndex].map((cell, i) => ({
+            ...parseSponsorCell(rows[amountRowIndex - 1][i] || ''),
+            amount: parseEuroAmount(cell),
+        }));
+        return { block, sponsors };
+    }
+
+    // One sponsor per row, where rows without amount are headers, unless no amounts are present at all
+    const sponsorRows = rows.some(cells => cells.some(hasAmount)) ? rows.filter(cells => cells.some(hasAmount)) : rows;
+    const sponsors = sponsorRows
+        .map(cells => {
+            const amountCell = cells.find(hasAmount);
+            const nameCell = cells.find(cell => cell !== amountCell && parseSponsorCell(cell).name);
+            return nameCell && {
+                ...parseSponsorCell(nameCell),
+                amount: amountCell ? parseEuroAmount(amountCell) : null,
+            };
+        })
+        .filter(sponsor => sponsor);
+    return { block, sponsors };
+}
+
+function compareDates(dateA, dateB) {
+    return new Date(dateA).getTime() - new Date(dateB).getTime();
+}
+
+/**
+ * Sum the bounty amounts of open and completed issues per repository.
+ * @param {Object[]} issues Bounty issues with sponsors.
+ * @return {{repository: string, url: string, open: number, paid: number}[]}
+ */
+function computeTotals(issues) {
+    const totals = {};
+    for (const issue of issues) {
+        const repository = issue.repository.nameWithOwner;
+        if (!(repository in totals)) {
+            totals[repository] = { repository, url: issue.repository.url, open: 0, paid: 0 };
+        }
+        totals[repository][issue.state === 'OPEN' ? 'open' : 'paid'] += issue.amount;
+    }
+    return Object.values(totals).sort((a, b) => a.repository.localeCompare(b.repository));
+}
+
+/**
+ * Load all bounty issues.
+ *
+ * Issues are read from the snapshot at BOUNTIES_SNAPSHOT if set,
+ * otherwise they are fetched from the GitHub API using GITHUB_TOKEN.
+ * If neither is set, an error is thrown, so that a misconfigured build does not publish wrong bounties.
+ *
+ * @return {Promise<{open: Object[], completed: Object[], totals: Object[]}>}
+ */
+async function loadBounties() {
+    let nodes;
+    if (process.env.BOUNTIES_SNAPSHOT) {
+        nodes = await readSnapshot(process.env.BOUNTIES_SNAPSHOT);
+    } else if (process.env.GITHUB_TOKEN) {
+        nodes = await fetchIssues(process.env.GITHUB_TOKEN);
+    } else {
+        throw new Error(`The GitHub API token environment variable 'GITHUB_TOKEN' has not been set. ` +
+            `Set BOUNTIES_SNAPSHOT=lib/bountiesSnapshot.json to build with fake example bounties instead.`);
+    }
+
+    // Search results may contain duplicates across pages
+    const issues = [ ...new Map(nodes.map(node => [ node.url, node ])).values() ]
+        .map(node => {
+            const { block, sponsors } = parseSponsors(node.body || '');
+            return {
+                ...node,
+                sponsorsBlock: block,
+                sponsors,
+                amount: sponsors.reduce((sum, { amount }) => sum + (amount || 0), 0),
+            };
+        });
+
+    return {
+        open: issues
+            .filter(issue => issue.state === 'OPEN')
+            .sort((issueA, issueB) => compareDates(issueA.createdAt, issueB.createdAt)),
+        completed: issues
+            .filter(issue => issue.state === 'CLOSED')
+            .sort((issueA, issueB) => compareDates(issueA.closedAt, issueB.closedAt)),
+        totals: computeTotals(issues),
+    };
+}
+
+module.exports = {
+    parseEuroAmount,
+    parseSponsors,
+    loadBounties,
+};
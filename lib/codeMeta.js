@@ -0,0 +1,99 @@
+const visit = require('unist-util-visit');
+const toString = require('mdast-util-to-string');
+
+/**
+ * Remark plugin that exposes the meta string of fenced code blocks, such as 'runnable' in '```sparql runnable',
+ * as a 'data-meta' attribute on the code element.
+ * This is needed because rehype-raw drops all other data from nodes.
+ */
+function remarkCodeMeta() {
+    return tree => {
+        visit(tree, 'code', node => {
+            if (node.meta) {
+                node.data = node.data || {};
+                node.data.hProperties = { ...node.data.hProperties, dataMeta: node.meta };
+            }
+        });
+    };
+}
+
+/**
+ * Remark plugin that groups consecutive code blocks between ':::code-group' and ':::' lines
+ * into a 'code-group' element, which is rendered as tabs.
+ */
+function remarkCodeGroups() {
+    return tree => {
+        visit(tree, node => {
+            if (!node.children) {
+                return;
+            }
+            for (let start = 0; start < node.children.length; start++) {
+                if (!isParagraph(node.children[start], ':::code-group')) {
+                    continue;
+                }
+                const end = node.children.findIndex((child, i) => i > start && child.type !== 'code');
+                if (end <= start + 1 || !isParagraph(node.children[end], ':::')) {
+                    continue;
+                }
+                node.children.splice(start, end - start + 1, {
+                    type: 'codeGroup',
+                    children: node.children.slice(start + 1, end),
+                    data: { hName: 'code-group' },
+                });
+            }
+        });
+    };
+}
+
+function isParagraph(node, text) {
+    return node.type === 'paragraph' && toString(node).trim() === text;
+}
+
+function addLineRanges(lines, ranges) {
+    for (const range of ranges.split(',')) {
+        const [ from, to = from ] = range.split('-').map(Number);
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1) {
+            continue;
+        }
+        for (let line = from; line <= to; line++) {
+            lines.add(line);
+        }
+    }
+}
+
+/**
+ * Parse the meta string of a fenced code block, such as 'title="config.json" {3-5} ins={7} del={6} runnable'.
+ * Curly braces contain comma-separated line numbers or ranges of lines (starting from 1) to highlight,
+ * or to mark as inserted or deleted when preceded by 'ins=' or 'del='.
+ * @param {string|undefined} meta The meta string after the language of a code fence.
+ * @return {{title: string|undefined, highlight: Set<number>, ins: Set<number>, del: Set<number>, flags: string[]}}
+ */
+function parseCodeMeta(meta) {
+    const result = { title: undefined, highlight: new Set(), ins: new Set(), del: new Set(), flags: [] };
+    for (const match of (meta || '').matchAll(/(\w+)="([^"]*)"|(?:(ins|del)=)?\{([^}]*)\}|(\S+)/g)) {
+        if (match[1] === 'title') {
+            result.title = match[2];
+        } else if (match[4] !== undefined) {
+            addLineRanges(result[match[3] || 'highlight'], match[4]);
+        } else if (match[5]) {
+            result.flags.push(match[5]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Remove '$ ' shell prompts at the start of lines, so that code can be copied into a terminal.
+ * @param {string} code The code of a code block.
+ * @return {string}
+ */
+function stripPrompts(code) {
+    return code.replace(/^\$ /gm, '');
+}
+
+module.exports = {
+    remarkCodeMeta,
+    remarkCodeGroups,
+    parseCodeMeta,
+    stripPrompts,
+};
@@ -0,0 +1,85 @@
+/**
+ * SVG images that are shown as-is in the dark theme, as they are logos that are offered for download,
+ * or logos of other projects.
+ */
+const lightOnlyImages = [
+    /^\/img\/comunica_(black|red|red_plain|white|white_on_red|wide)\.svg$/,
+    /^\/img\/navigation-toggle\.svg$/,
+    /^\/img\/usage-showcase\//,
+];
+
+/**
+ * Check if an image has a variant for the dark theme, which is the case for all other SVG images in /img/.
+ * @param {string} src The source of an image, such as '/img/architecture_sparql.svg'.
+ * @return {boolean}
+ */
+function hasDarkVariant(src) {
+    return typeof src === 'string' && src.startsWith('/img/') && src.endsWith('.svg') &&
+        !lightOnlyImages.some(pattern => pattern.test(src));
+}
+
+/**
+ * Determine the source of the dark theme variant of an image.
+ * @param {string} src The source of an image, such as '/img/architecture_sparql.svg'.
+ * @return {string} A source such as '/img/dark/architecture_sparql.svg'.
+ */
+function darkVariantPath(src) {
+    return '/img/dark/' + src.slice('/img/'.length);
+}
+
+function parseHex(hex) {
+    const digits = hex.length === 3 ? hex.split('').map(d => d + d).join('') : hex;
+    return [ 0, 2, 4 ].map(i => parseInt(digits.slice(i, i + 2), 16) / 255);
+}
+
+function toHex(rgb) {
+    return '#' + rgb.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Invert the lightness of a color while keeping its hue and saturation,
+ * so that black becomes light gray, white becomes the dark background, and red remains red.
+ * @param {number[]} rgb Red, green and blue components between 0 and 1.
+ * @return {number[]}
+ */
+function invertLightness([ r, g, b ]) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const newLightness = 0.12 + (1 - lightness) * 0.78;
+    if (max === min) {
+        return [ newLightness, newLightness, newLightness ];
+    }
+    // Scale the distance of each component to the lightness, to keep the hue and saturation
+    const chroma = max - min;
+    const saturation = chroma / (1 - Math.abs(2 * lightness - 1));
+    const newChroma = saturation * (1 - Math.abs(2 * newLightness - 1));
+    return [ r, g, b ].map(c => newLightness + (c - (max + min) / 2) * newChroma / chroma);
+}
+
+const namedColors = { black: '000000', white: 'ffffff' };
+
+/**
+ * Create the dark theme variant of an SVG image, by inverting the lightness of all colors.
+ * Elements without fill are black by default, so the default fill is set on the root element.
+ * @param {string} svg The SVG source.
+ * @return {string}
+ */
+function createDarkSvg(svg) {
+    const invert = hex => toHex(invertLightness(parseHex(hex)));
+    return svg
+        // Hex colors in attributes and styles, but not fragment identifiers such as href="#a1"
+        .replace(/([:=]\s*["']?\s*)#([0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/g, (match, prefix, hex, offset, string) =>
+            /href$/.test(string.slice(0, offset)) ? match : prefix + invert(hex))
+        .replace(/rgb\(\s*([0-9.]+)(%?)\s*,\s*([0-9.]+)%?\s*,\s*([0-9.]+)%?\s*\)/g, (match, r, percent, g, b) =>
+            invert([ r, g, b ].map(c => Math.round(Number(c) * (percent ? 2.55 : 1)).toString(16).padStart(2, '0')).join('')))
+        .replace(/((?:fill|stroke|stop-color|color)\s*[:=]\s*["']?)(black|white)\b/g, (match, prefix, name) =>
+            prefix + invert(namedColors[name]))
+        .replace(/<svg\b(?![^>]*\sfill=)/, `<svg fill="${invert('000000')}"`);
+}
+
+module.exports = {
+    hasDarkVariant,
+    darkVariantPath,
+    createDarkSvg,
+};
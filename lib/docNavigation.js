@@ -0,0 +1,41 @@
+const { getDocVersion } = require('./docVersions');
+
+/**
+ * Determine the sidebar tree and the previous and next pages of a documentation page.
+ * Pages are ordered as in the given paths, which are sorted based on the numeric prefixes of their file names.
+ * @param {string} path The path of the current page, such as '/docs/query/usage'.
+ * @param {string[]} paths All page paths, sorted.
+ * @param mattersData The frontmatter of all pages by path.
+ * @return {{tree: Object[], previous: Object|null, next: Object|null}|null}
+ *   Null for non-documentation pages.
+ *   Tree entries contain a path, title and children, and the previous and next pages contain a path and title.
+ */
+function getDocNavigation(path, paths, mattersData) {
+    const version = getDocVersion(path);
+    if (!version) {
+        return null;
+    }
+    const docPaths = paths.filter(p => p !== version.path && getDocVersion(p) === version);
+
+    const root = { children: [] };
+    const entries = {};
+    for (const p of docPaths) {
+        const entry = { path: p, title: mattersData[p].title, children: [] };
+        entries[p] = entry;
+        (entries[p.replace(/[^/]+\/$/, '')] || root).children.push(entry);
+    }
+
+    // The root page of the version is not part of the tree, but it does precede the first page
+    const orderedPaths = [ version.path, ...docPaths ];
+    const index = orderedPaths.indexOf(path.endsWith('/') ? path : path + '/');
+    const link = p => ({ path: p, title: mattersData[p].title });
+    return {
+        tree: root.children,
+        previous: index > 0 ? link(orderedPaths[index - 1]) : null,
+        next: index >= 0 && index < orderedPaths.length - 1 ? link(orderedPaths[index + 1]) : null,
+    };
+}
+
+module.exports = {
+    getDocNavigation,
+};
@@ -0,0 +1,63 @@
+/**
+ * Documentation versions, one per Comunica major release, with the latest version first.
+ * The latest documentation lives in pages/docs/, older versions in pages/docs/<id>/,
+ * such as { id: 'v4', label: '4.x', path: '/docs/v4/' } for pages/docs/v4/.
+ * @type {{id: string, label: string, path: string}[]}
+ */
+const docVersions = [
+    { id: 'v5', label: '5.x', path: '/docs/' },
+];
+
+/**
+ * The version of the documentation that describes the latest release.
+ */
+const latestDocVersion = docVersions[0];
+
+function withTrailingSlash(path) {
+    return path.endsWith('/') ? path : path + '/';
+}
+
+/**
+ * Determine the documentation version a page belongs to.
+ * @param {string} path A page path, such as '/docs/v4/query/usage'.
+ * @return {{id: string, label: string, path: string}|undefined} The version, or undefined for non-documentation pages.
+ */
+function getDocVersion(path) {
+    path = withTrailingSlash(path);
+    if (!path.startsWith(latestDocVersion.path)) {
+        return;
+    }
+    return docVersions.find(version => version !== latestDocVersion && path.startsWith(version.path)) || latestDocVersion;
+}
+
+/**
+ * Determine the path of the same documentation page within another version.
+ * This page does not necessarily exist.
+ * @param {string} path A documentation page path, such as '/docs/v4/query/usage'.
+ * @param version The version to determine the path in.
+ * @return {string} A page path ending with a slash, such as '/docs/query/usage/'.
+ */
+function getVersionedPath(path, version) {
+    path = withTrailingSlash(path);
+    return version.path + path.slice(getDocVersion(path).path.length);
+}
+
+/**
+ * Determine the Pagefind filters that scope search results to the documentation version of a page.
+ * Documentation pages are indexed with a 'version' filter, which other pages do not have.
+ * @param {string} path A page path.
+ * @return {Object} Pagefind search filters.
+ */
+function getDocSearchFilters(path) {
+    const version = getDocVersion(path) || latestDocVersion;
+    const otherLabels = docVersions.filter(v => v !== version).map(v => v.label);
+    return otherLabels.length > 0 ? { not: { version: { any: otherLabels } } } : {};
+}
+
+module.exports = {
+    docVersions,
+    latestDocVersion,
+    getDocVersion,
+    getVersionedPath,
+    getDocSearchFilters,
+};
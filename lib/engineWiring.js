@@ -0,0 +1,178 @@
+/**
+ * Mapping from Components.js import prefixes to directories within the Comunica repository.
+ * @type {Object<string, string>}
+ */
+const importPrefixes = {
+    ccqs: 'engines/config-query-sparql/',
+};
+
+/**
+ * Pattern of actor and mediator identifiers in the default Comunica configs,
+ * such as 'urn:comunica:default:query-operation/actors#ask'.
+ * @type {RegExp}
+ */
+const componentIdPattern = /^urn:comunica:default:([^/]+)\/(actors|mediators)#(.+)$/;
+
+/**
+ * Parse the bus, kind and name of an actor or mediator identifier.
+ * @param {string} id A component identifier.
+ * @return {{busName: string, kind: string, name: string}|undefined}
+ */
+function parseComponentId(id) {
+    const match = componentIdPattern.exec(id);
+    if (match) {
+        return { busName: match[1], kind: match[2], name: match[3] };
+    }
+}
+
+/**
+ * Resolve an import of a config file to a path in the repository.
+ * @param {string} iri An import IRI, such as 'ccqs:config/query-operation/actors.json'.
+ * @return {string|undefined}
+ */
+function resolveImport(iri) {
+    const separator = iri.indexOf(':');
+    const prefix = importPrefixes[iri.slice(0, separator)];
+    if (prefix) {
+        return prefix + iri.slice(separator + 1);
+    }
+}
+
+/**
+ * Collect all mediators that are referred to within the given value, without descending into other actors.
+ * @param value A JSON value.
+ * @param {Set<string>} mediators The set to add mediator identifiers to.
+ */
+function collectMediators(value, mediators) {
+    if (Array.isArray(value)) {
+        value.forEach(entry => collectMediators(entry, mediators));
+    } else if (value && typeof value === 'object') {
+        const component = typeof value['@id'] === 'string' && parseComponentId(value['@id']);
+        if (component && component.kind === 'actors') {
+            return;
+        }
+        if (component && component.kind === 'mediators') {
+            mediators.add(value['@id']);
+        }
+        Object.values(value).forEach(entry => collectMediators(entry, mediators));
+    }
+}
+
+/**
+ * Collect all actors within the given value, together with the mediators they refer to.
+ * @param value A JSON value.
+ * @param {Object<string, Set<string>>} actors Mapping from actor identifiers to mediator identifiers.
+ */
+function collectActors(value, actors) {
+    if (Array.isArray(value)) {
+        value.forEach(entry => collectActors(entry, actors));
+    } else if (value && typeof value === 'object') {
+        const component = typeof value['@id'] === 'string' && parseComponentId(value['@id']);
+        if (component && component.kind === 'actors') {
+            if (!(value['@id'] in actors)) {
+                actors[value['@id']] = new Set();
+            }
+            for (const [ key, entry ] of Object.entries(value)) {
+                if (key !== '@id') {
+                    collectMediators(entry, actors[value['@id']]);
+                }
+            }
+        }
+        Object.values(value).forEach(entry => collectActors(entry, actors));
+    }
+}
+
+/**
+ * Assign each bus to a layer, so that mediator calls go from left to right as much as possible.
+ * Layers are determined by breadth-first traversal from buses that are not called by other buses.
+ * @param {string[]} busNames All bus names.
+ * @param {{from: string, to: string}[]} edges Calls between buses.
+ * @return {Object<string, number>} Mapping from bus name to layer.
+ */
+function assignLayers(busNames, edges) {
+    const calledBuses = new Set(edges.filter(({ from, to }) => from !== to).map(({ to }) => to));
+    const layers = {};
+    let queue = busNames.filter(busName => !calledBuses.has(busName));
+    if (queue.length === 0) {
+        queue = busNames.slice(0, 1);
+    }
+    queue.forEach(busName => layers[busName] = 0);
+    while (queue.length > 0) {
+        const busName = queue.shift();
+        for (const { to } of edges.filter(({ from }) => from === busName)) {
+            if (!(to in layers)) {
+                layers[to] = layers[busName] + 1;
+                queue.push(to);
+            }
+        }
+    }
+
+    // Buses only reachable via cycles are placed after all others
+    const maxLayer = Math.max(0, ...Object.values(layers));
+    busNames.filter(busName => !(busName in layers)).forEach(busName => layers[busName] = maxLayer + 1);
+    return layers;
+}
+
+/**
+ * Determine how buses are wired to each other within an engine config,
+ * by following all imports from the given config file.
+ *
+ * An edge from bus A to bus B means that an actor on bus A invokes a mediator on bus B.
+ *
+ * @param source A repository source.
+ * @param {string} configFile The path to the root config file.
+ * @return {Promise<{buses: {busName: string, actors: string[], layer: number}[], edges: {from: string, to: string, mediators: string[]}[]}>}
+ */
+export async function generateEngineWiring(source, configFile) {
+    const actors = {};
+    const unresolvedImports = new Set();
+    const visited = new Set();
+    const pending = [ configFile ];
+    while (pending.length > 0) {
+        const files = pending.splice(0).filter(file => !visited.has(file));
+        files.forEach(file => visited.add(file));
+        const configs = await Promise.all(files.map(file => source.readJson(file)));
+        for (const config of configs) {
+            collectActors(config, actors);
+            for (const iri of [].concat(config.import || [])) {
+                const file = resolveImport(iri);
+                if (file) {
+                    pending.push(file);
+                } else {
+                    unresolvedImports.add(iri);
+                }
+            }
+        }
+    }
+    if (unresolvedImports.size > 0) {
+        console.warn(`Engine wiring: ignoring imports with unknown prefixes:\n${
+            [ ...unresolvedImports ].map(iri => `  - ${iri}`).join('\n')}`);
+    }
+
+    // Group actors by bus, and derive calls between buses from the mediators of actors
+    const busActors = {};
+    const edgeMediators = {};
+    for (const [ actorId, mediatorIds ] of Object.entries(actors)) {
+        const actor = parseComponentId(actorId);
+        (busActors[actor.busName] = busActors[actor.busName] || []).push(actor.name);
+        for (const mediatorId of mediatorIds) {
+            const mediator = parseComponentId(mediatorId);
+            busActors[mediator.busName] = busActors[mediator.busName] || [];
+            const key = `${actor.busName} ${mediator.busName}`;
+            (edgeMediators[key] = edgeMediators[key] || new Set()).add(mediator.name);
+        }
+    }
+
+    const busNames = Object.keys(busActors).sort();
+    const edges = Object.entries(edgeMediators)
+        .map(([ key, mediators ]) => {
+            const [ from, to ] = key.split(' ');
+            return { from, to, mediators: [ ...mediators ].sort() };
+        })
+        .sort((a, b) => `${a.from} ${a.to}`.localeCompare(`${b.from} ${b.to}`));
+    const layers = assignLayers(busNames, edges);
+    return {
+        buses: busNames.map(busName => ({ busName, actors: busActors[busName].sort(), layer: layers[busName] })),
+        edges,
+    };
+}
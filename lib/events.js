@@ -0,0 +1,164 @@
+/**
+ * Allowed values of the `type` field in event frontmatter.
+ * @type {string[]}
+ */
+const eventTypes = [ 'tutorial', 'conference', 'workshop', 'meeting', 'demo', 'online' ];
+
+/**
+ * Parse a date in event frontmatter, which is either a date ('2022-09-13'),
+ * or a date and time with offset ('2022-09-07T16:00:00+02:00').
+ * @param {string} value A date string.
+ * @return {{date: Date, allDay: boolean}|undefined}
+ */
+function parseEventDate(value) {
+    if (typeof value !== 'string') {
+        return;
+    }
+    const allDay = /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(value);
+    const date = new Date(allDay ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(date.getTime())) {
+        return;
+    }
+    return { date, allDay };
+}
+
+/**
+ * Parse and check the frontmatter of an event.
+ * @param {string} path The path of the event page, used in error messages.
+ * @param data The frontmatter of the event.
+ * @return {{start: {date: Date, allDay: boolean}, end: {date: Date, allDay: boolean}}}
+ */
+function parseEvent(path, data) {
+    const start = parseEventDate(data.start);
+    if (!start) {
+        throw new Error(`Event ${path} has an invalid 'start' date '${data.start}', it must be quoted, such as '2022-09-13' or '2022-09-07T16:00:00+02:00'`);
+    }
+    const end = data.end === undefined ? start : parseEventDate(data.end);
+    if (!end) {
+        throw new Error(`Event ${path} has an invalid 'end' date '${data.end}', it must be quoted, such as '2022-09-13' or '2022-09-07T16:00:00+02:00'`);
+    }
+    if (data.type !== undefined && !eventTypes.includes(data.type)) {
+        throw new Error(`Event ${path} has an invalid 'type' '${data.type}', it must be one of ${eventTypes.join(', ')}`);
+    }
+    return { start, end };
+}
+
+/**
+ * Determine the moment at which an event is over.
+ * All-day events are over at the end of their last day.
+ */
+function getEventEnd({ end }) {
+    return end.allDay ? new Date(end.date.getTime() + 24 * 60 * 60 * 1000) : end.date;
+}
+
+/**
+ * Check if an event has not ended yet at the given time.
+ * @param {string} path The path of the event page.
+ * @param data The frontmatter of the event.
+ * @param {Date} now The current time.
+ * @return {boolean}
+ */
+function isUpcomingEvent(path, data, now) {
+    return getEventEnd(parseEvent(path, data)).getTime() > now.getTime();
+}
+
+function formatEventDate({ date, allDay }) {
+    return allDay
+        ? date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+        : date.toLocaleString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: 'UTC', timeZoneName: 'short' });
+}
+
+/**
+ * Format the dates of an event for display.
+ * @param {string} path The path of the event page.
+ * @param data The frontmatter of the event.
+ * @return {string}
+ */
+function formatEventDates(path, data) {
+    const { start, end } = parseEvent(path, data);
+    if (start.date.getTime() === end.date.getTime()) {
+        return formatEventDate(start);
+    }
+    return `${formatEventDate(start)} – ${formatEventDate(end)}`;
+}
+
+function formatIcsDate({ date, allDay }) {
+    const iso = date.toISOString().replace(/[-:]/g, '').replace(/\.[0-9]{3}/, '');
+    return allDay ? `;VALUE=DATE:${iso.slice(0, 8)}` : `:${iso}`;
+}
+
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to lines of at most 75 octets, as required by RFC 5545.
+ */
+function foldIcsLine(line) {
+    const folded = [];
+    let current = '';
+    for (const character of line) {
+        if (Buffer.byteLength(current + character) > (folded.length === 0 ? 75 : 74)) {
+            folded.push(current);
+            current = '';
+        }
+        current += character;
+    }
+    folded.push(current);
+    return folded.join('\r\n ');
+}
+
+/**
+ * Generate an iCalendar file containing the given events.
+ * @param {{path: string, data: Object}[]} events Event page paths with their frontmatter.
+ * @param {string} baseUrl The absolute url of the website.
+ * @param {Date} now The time at which the calendar is generated.
+ * @return {string}
+ */
+function generateCalendar(events, baseUrl, now) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Comunica//Events//EN',
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:Comunica Events',
+    ];
+    for (const { path, data } of events) {
+        const event = parseEvent(path, data);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${path.replace(/^\/events\/|\/$/g, '')}@comunica.dev`,
+            `DTSTAMP${formatIcsDate({ date: now, allDay: false })}`,
+            `DTSTART${formatIcsDate(event.start)}`,
+            `DTEND${formatIcsDate(event.end.allDay ? { date: getEventEnd(event), allDay: true } : event.end)}`,
+            `SUMMARY:${escapeIcsText(data.title)}`,
+        );
+        if (data.description) {
+            lines.push(`DESCRIPTION:${escapeIcsText(data.description)}`);
+        }
+        if (data.location) {
+            lines.push(`LOCATION:${escapeIcsText(data.location)}`);
+        }
+        if (data.type) {
+            lines.push(`CATEGORIES:${escapeIcsText(data.type)}`);
+        }
+        lines.push(
+            `URL:${data.url || baseUrl + path}`,
+            'END:VEVENT',
+        );
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    eventTypes,
+    parseEvent,
+    isUpcomingEvent,
+    formatEventDates,
+    generateCalendar,
+};
@@ -0,0 +1,317 @@
+/**
+ * A node in a physical query plan, as printed by Comunica's physical and physical-json explain modes.
+ * @typedef {object} PlanNode
+ * @property {string} logical The logical operation, such as 'join-inner' or 'pattern'.
+ * @property {string} [physical] The physical actor that executed it, such as 'bind' or 'symmetric-hash'.
+ * @property {string} [description] The quad pattern or projected variables of the operation.
+ * @property {string} [source] The query source of a pattern.
+ * @property {number} [cardinalityEstimate] The estimated number of results.
+ * @property {number} [cardinalityReal] The actual number of results.
+ * @property {number} [timeSelf] The time spent in the operation itself, in milliseconds.
+ * @property {number} [timeLife] The time between the start and end of the operation, in milliseconds.
+ * @property {number} occurrences How many times a compacted sub-plan was executed.
+ * @property {Object<string, string>} properties Other metadata, such as the bind operation of bind joins.
+ * @property {PlanNode[]} children
+ * @property {number} cost The highest cost within this branch of the plan, as set by parseExplain.
+ */
+
+/**
+ * Read a parenthesized group of a line, which may contain nested parentheses, such as in IRIs,
+ * and parentheses within quoted literals.
+ * @param {string} line A line of the physical plan.
+ * @param {number} start The position of the opening parenthesis.
+ * @return {number} The position after the closing parenthesis.
+ */
+function readGroup(line, start) {
+    let depth = 0;
+    let quoted = false;
+    for (let i = start; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"' && line[i - 1] !== '\\') {
+            quoted = !quoted;
+        } else if (!quoted && char === '(') {
+            depth++;
+        } else if (!quoted && char === ')' && --depth === 0) {
+            return i + 1;
+        }
+    }
+    throw new Error(`Unclosed parenthesis at column ${start + 1}`);
+}
+
+/**
+ * Split the metadata of a line into 'key:value' pairs and values without key,
+ * where parenthesized values may contain spaces.
+ * @param {string} text The part of a line after the operation name.
+ * @return {{key?: string, value: string}[]}
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        if (text[i] === ' ') {
+            i++;
+            continue;
+        }
+        const key = /^([\w-]+):(?=\S)/.exec(text.slice(i));
+        if (key) {
+            i += key[0].length;
+        }
+        let end;
+        if (text[i] === '(') {
+            end = readGroup(text, i);
+            tokens.push({ key: key && key[1], value: text.slice(i + 1, end - 1) });
+        } else {
+            end = text.indexOf(' ', i) < 0 ? text.length : text.indexOf(' ', i);
+            tokens.push({ key: key && key[1], value: text.slice(i, end) });
+        }
+        i = end;
+    }
+    return tokens;
+}
+
+/**
+ * Parse a number such as '~5,188,789.667' or '2.567ms'.
+ */
+function parseNumber(value) {
+    return Number.parseFloat(value.replace(/^~/, '').replace(/,/g, ''));
+}
+
+function parseTextNode(line) {
+    const [ operation, logical, physical ] = /^([^\s(]+)(?:\(([^)]*)\))?/.exec(line);
+    const node = { logical, physical, occurrences: 1, properties: {}, children: [] };
+    for (const { key, value } of tokenize(line.slice(operation.length))) {
+        switch (key) {
+        case undefined:
+        case null:
+            node.description = node.description ? `${node.description} ${value}` : value;
+            break;
+        case 'cardEst':
+            node.cardinalityEstimate = parseNumber(value);
+            break;
+        case 'cardReal':
+            node.cardinalityReal = parseNumber(value);
+            break;
+        case 'timeSelf':
+            node.timeSelf = parseNumber(value);
+            break;
+        case 'timeLife':
+            node.timeLife = parseNumber(value);
+            break;
+        case 'compacted-occurrences':
+            node.occurrences = parseNumber(value);
+            break;
+        case 'src':
+            node.source = value;
+            break;
+        default:
+            node.properties[key] = value;
+        }
+    }
+    return node;
+}
+
+/**
+ * Parse the output of the physical explain mode, which is an indented tree of operations,
+ * optionally followed by a list of query sources that are referred to by their index.
+ * @param {string} text
+ * @return {{roots: PlanNode[], sources: Object<string, string>}}
+ */
+function parseExplainText(text) {
+    const [ plan, sourcesText = '' ] = text.split(/^sources:[ \t]*$/m);
+    const sources = {};
+    for (const line of sourcesText.split('\n')) {
+        const match = /^\s*(\d+): (.*)$/.exec(line);
+        if (match) {
+            sources[match[1]] = match[2].trim();
+        }
+    }
+
+    const roots = [];
+    const parents = [];
+    plan.split('\n').forEach((line, i) => {
+        if (!line.trim()) {
+            return;
+        }
+        const indent = line.length - line.trimStart().length;
+        while (parents.length > 0 && parents[parents.length - 1].indent >= indent) {
+            parents.pop();
+        }
+        let node;
+        try {
+            node = parseTextNode(line.trim());
+        } catch (e) {
+            throw new Error(`Line ${i + 1}: ${e.message}`);
+        }
+        (parents.length > 0 ? parents[parents.length - 1].node.children : roots).push(node);
+        parents.push({ indent, node });
+    });
+    return { roots, sources };
+}
+
+function formatCardinality(cardinality) {
+    return (cardinality.type === 'estimate' ? '~' : '') + cardinality.value.toLocaleString('en-US');
+}
+
+function fromJson(json) {
+    const {
+        logical,
+        physical,
+        pattern,
+        variables,
+        source,
+        cardinality,
+        cardinalityReal,
+        timeSelf,
+        timeLife,
+        bindOperation,
+        bindOperationCardinality,
+        children = [],
+        childrenCompact = [],
+        ...other
+    } = json;
+    if (typeof logical !== 'string') {
+        throw new Error(`Missing 'logical' operation in ${JSON.stringify(json).slice(0, 80)}`);
+    }
+    const properties = {};
+    if (bindOperation) {
+        properties.bindOperation = bindOperation.pattern;
+    }
+    if (bindOperationCardinality) {
+        properties.bindCardEst = formatCardinality(bindOperationCardinality);
+    }
+    // Complex metadata, such as join coefficients, is only relevant when debugging actors, so it is not shown
+    for (const key in other) {
+        if ([ 'string', 'number', 'boolean' ].includes(typeof other[key])) {
+            properties[key] = String(other[key]);
+        }
+    }
+    return {
+        logical,
+        physical,
+        description: pattern || (variables && variables.join(',')),
+        source,
+        cardinalityEstimate: cardinality && cardinality.value,
+        cardinalityReal,
+        timeSelf,
+        timeLife,
+        occurrences: 1,
+        properties,
+        children: [
+            ...children.map(fromJson),
+            ...childrenCompact.map(({ occurrences, firstOccurrence }) => ({ ...fromJson(firstOccurrence), occurrences })),
+        ],
+    };
+}
+
+/**
+ * Determine what the cost of nodes is based on, which is their timings if the plan has any,
+ * and their cardinalities otherwise.
+ * @param {PlanNode[]} nodes
+ * @return {{metric?: string, getCost: function(PlanNode): number}}
+ * The metric, which is undefined if nodes have no timings or cardinalities, and a function that returns the cost of a single node.
+ */
+function getCostFunction(nodes) {
+    const all = [];
+    const collect = node => {
+        all.push(node);
+        node.children.forEach(collect);
+    };
+    nodes.forEach(collect);
+    if (all.some(node => node.timeLife !== undefined || node.timeSelf !== undefined)) {
+        return { metric: 'time', getCost: node => node.timeLife !== undefined ? node.timeLife : node.timeSelf || 0 };
+    }
+    if (all.some(node => node.cardinalityReal !== undefined || node.cardinalityEstimate !== undefined)) {
+        return {
+            metric: 'cardinality',
+            getCost: node => node.cardinalityReal !== undefined ? node.cardinalityReal : node.cardinalityEstimate || 0,
+        };
+    }
+    return { getCost: () => 0 };
+}
+
+function setCosts(node, getCost) {
+    node.cost = Math.max(getCost(node), ...node.children.map(child => setCosts(child, getCost)));
+    return node.cost;
+}
+
+/**
+ * Split off the shell commands that precede the output, such as '$ comunica-sparql ... --explain physical',
+ * which continue on the next line if they end with a backslash or contain an unclosed quote.
+ * @param {string} code Output of the CLI, optionally preceded by the commands that produced it.
+ * @return {{command?: string, output: string}}
+ * The commands, and the output in which the command lines are left empty, so that line numbers in errors are kept.
+ */
+function splitCommand(code) {
+    const lines = code.split('\n');
+    const commandLines = [];
+    let quote;
+    let continued = false;
+    while (commandLines.length < lines.length) {
+        const line = lines[commandLines.length];
+        if (!continued && !quote && !/^\s*\$ /.test(line)) {
+            break;
+        }
+        for (const char of line) {
+            if (char === quote) {
+                quote = undefined;
+            } else if (!quote && (char === '\'' || char === '"')) {
+                quote = char;
+            }
+        }
+        continued = line.endsWith('\\');
+        commandLines.push(line);
+    }
+    if (commandLines.length === 0) {
+        return { output: code };
+    }
+    return {
+        command: commandLines.join('\n'),
+        output: [ ...commandLines.map(() => ''), ...lines.slice(commandLines.length) ].join('\n'),
+    };
+}
+
+/**
+ * Parse the output of Comunica's physical or physical-json explain mode.
+ * @param {string} code The text or JSON output, optionally preceded by the '$ ...' command that produced it.
+ * @return {{roots: PlanNode[], sources: Object<string, string>, command?: string, costMetric?: string, maxCost: number}}
+ * The plan, in which each node has the highest cost within its branch,
+ * based on the time or cardinality as indicated by costMetric.
+ */
+function parseExplain(code) {
+    const { command, output } = splitCommand(code);
+    let plan;
+    if (/^\s*[{[]/.test(output)) {
+        let json;
+        try {
+            json = JSON.parse(output);
+        } catch (e) {
+            throw new Error(`Invalid JSON: ${e.message}`);
+        }
+        plan = { roots: (Array.isArray(json) ? json : [ json ]).map(fromJson), sources: {} };
+    } else {
+        plan = parseExplainText(output);
+    }
+    plan.command = command;
+    if (plan.roots.length === 0) {
+        throw new Error('The plan is empty');
+    }
+
+    const { metric, getCost } = getCostFunction(plan.roots);
+    const maxCost = Math.max(...plan.roots.map(root => setCosts(root, getCost)));
+    return { ...plan, costMetric: metric, maxCost };
+}
+
+/**
+ * Check if a branch of a plan is among the costliest, which is the case if it costs at least half of the most costly branch.
+ * @param {PlanNode} node
+ * @param {number} maxCost
+ * @return {boolean}
+ */
+function isCostlyBranch(node, maxCost) {
+    return maxCost > 0 && node.cost >= maxCost / 2;
+}
+
+module.exports = {
+    parseExplain,
+    isCostlyBranch,
+};
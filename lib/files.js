@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Recursively list the files in a directory, in sorted order.
+ * @param {string} dirPath The directory to scan.
+ * @param {string} [extension] Only include files with this extension, such as '.md'.
+ * @param {string[]} [skipDirs] Paths of directories that are not scanned, such as directories with generated files.
+ * @return {string[]} File paths, starting with dirPath.
+ */
+function scanDir(dirPath, extension = '', skipDirs = []) {
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+        .flatMap(entry => {
+            const filePath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                return skipDirs.includes(filePath) ? [] : scanDir(filePath, extension, skipDirs);
+            }
+            return filePath.endsWith(extension) ? [ filePath ] : [];
+        })
+        .sort();
+}
+
+module.exports = {
+    scanDir,
+};
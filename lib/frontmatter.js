@@ -0,0 +1,114 @@
+const { parseEvent } = require('./events');
+
+/**
+ * Pattern of the file names of blog posts and events, which start with their date.
+ */
+const datedFileNamePattern = /^([0-9]{4})-([0-9]{2})-([0-9]{2})-[^/]+\.md$/;
+
+const isString = value => typeof value === 'string' && value.trim().length > 0;
+const isBoolean = value => typeof value === 'boolean';
+
+/**
+ * Frontmatter fields, with a check of their value and a description of the expected value.
+ */
+const fields = {
+    title: { check: isString, expected: 'a non-empty string' },
+    description: { check: isString, expected: 'a non-empty string' },
+    index: { check: isBoolean, expected: 'true or false' },
+    reverse: { check: isBoolean, expected: 'true or false' },
+    blog_index: { check: isBoolean, expected: 'true or false' },
+    events_index: { check: isBoolean, expected: 'true or false' },
+    recently_updated: {
+        check: value => value === true || (Number.isInteger(value) && value > 0),
+        expected: 'true or a positive number of pages',
+    },
+    wip: { check: value => isBoolean(value) || isString(value), expected: 'true, false, or a markdown text' },
+    tags: { check: value => Array.isArray(value) && value.every(isString), expected: 'a list of strings, such as [\'release\']' },
+    version: { check: value => isString(value) || typeof value === 'number', expected: 'a version such as \'1.22.0\'' },
+    author: { check: isString, expected: 'a name, which is used as author in blog feeds' },
+    start: { check: isString, expected: 'a quoted date such as \'2022-09-13\'' },
+    end: { check: isString, expected: 'a quoted date such as \'2022-09-13\'' },
+    location: { check: isString, expected: 'a non-empty string' },
+    url: { check: isString, expected: 'a URL' },
+    type: { check: isString, expected: 'a string' },
+};
+
+/**
+ * Fields that are only allowed within certain sections.
+ */
+const sectionFields = {
+    tags: 'blog',
+    version: 'blog',
+    author: 'blog',
+    start: 'events',
+    end: 'events',
+    location: 'events',
+    url: 'events',
+    type: 'events',
+};
+
+/**
+ * Check the frontmatter of a markdown page.
+ * @param {string} filePath The path of the markdown file, such as 'pages/blog/2020-08-19-intro.md'.
+ * @param page The page parsed by gray-matter, with its frontmatter as `data` and its excerpt.
+ * @return {string[]} Descriptions of all problems, prefixed with the file path.
+ */
+function validateFrontmatter(filePath, { data, excerpt }) {
+    const problems = [];
+    const report = message => problems.push(`${filePath}: ${message}`);
+    const segments = filePath.split(/[\\/]/);
+    const section = segments.length > 2 ? segments[1] : undefined;
+    const fileName = segments[segments.length - 1];
+
+    for (const key of Object.keys(data)) {
+        if (!fields[key]) {
+            report(`unknown field '${key}', expected one of ${Object.keys(fields).join(', ')}`);
+        } else if (!fields[key].check(data[key])) {
+            report(`field '${key}' must be ${fields[key].expected}, but is ${JSON.stringify(data[key])}`);
+        } else if (sectionFields[key] && sectionFields[key] !== section) {
+            report(`field '${key}' is only allowed for pages in pages/${sectionFields[key]}/`);
+        }
+    }
+
+    if (data.title === undefined) {
+        report(`missing field 'title'`);
+    }
+    // Blog posts can be described by their excerpt instead
+    if (data.description === undefined && !(section === 'blog' && excerpt)) {
+        report(section === 'blog'
+            ? `missing field 'description', or an excerpt ending with '<!-- excerpt-end -->'`
+            : `missing field 'description'`);
+    }
+    if (data.reverse !== undefined && !data.index) {
+        report(`field 'reverse' can only be used together with 'index: true'`);
+    }
+
+    if (section === 'blog' || section === 'events') {
+        const dateMatch = datedFileNamePattern.exec(fileName);
+        if (!dateMatch) {
+            report(`file name must start with a date, such as '2022-09-13-my-${section === 'blog' ? 'post' : 'event'}.md'`);
+        } else {
+            const [ _, year, month, day ] = dateMatch;
+            const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+            if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== `${year}-${month}-${day}`) {
+                report(`file name starts with an invalid date '${year}-${month}-${day}'`);
+            }
+        }
+    }
+    if (section === 'events' && data.start === undefined) {
+        report(`missing field 'start'`);
+    } else if (section === 'events' && isString(data.start) && (data.end === undefined || isString(data.end))) {
+        // Check if the dates can be parsed, and if the type is known
+        try {
+            parseEvent(`/${segments.slice(1).join('/').slice(0, -3)}/`, data);
+        } catch (e) {
+            report(e.message);
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    datedFileNamePattern,
+    validateFrontmatter,
+};
@@ -0,0 +1,91 @@
+const { execFileSync } = require('child_process');
+
+/**
+ * The repository in which the source of this website is maintained.
+ */
+const sourceRepository = 'https://github.com/comunica/website';
+
+/**
+ * The branch of the source repository to which edits are proposed.
+ */
+const sourceBranch = 'master';
+
+let historyCache;
+
+/**
+ * Read the commit history of all files in the pages directory with a single git invocation.
+ * If git or the history is unavailable (such as in a source archive), the history is empty.
+ * @return {Object<string, {date: string, author: string}[]>} Commits by file path relative to the repository root,
+ *   newest first.
+ */
+function readPagesHistory() {
+    if (!historyCache) {
+        historyCache = {};
+        let log;
+        try {
+            log = execFileSync('git', [ 'log', '--format=%x00%aI%x09%aN', '--name-only', '--', 'pages' ],
+                { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: [ 'ignore', 'pipe', 'ignore' ] });
+        } catch (e) {
+            return historyCache;
+        }
+        for (const entry of log.split('\0').slice(1)) {
+            const [ header, ...files ] = entry.split('\n');
+            const [ date, author ] = header.split('\t');
+            for (const file of files.filter(Boolean)) {
+                (historyCache[file] = historyCache[file] || []).push({ date, author });
+            }
+        }
+    }
+    return historyCache;
+}
+
+/**
+ * Determine when a source file was last changed, and who contributed to it.
+ * @param {string} file A file path relative to the repository root, such as 'pages/docs/1_query/2_usage.md'.
+ * @return {{lastUpdated: string, contributors: string[]}|null} The ISO date of the last commit,
+ *   and the commit authors ordered by their number of commits.
+ *   Null if the file has no history.
+ */
+function getFileHistory(file) {
+    const commits = readPagesHistory()[file];
+    if (!commits) {
+        return null;
+    }
+    const counts = {};
+    for (const { author } of commits) {
+        counts[author] = (counts[author] || 0) + 1;
+    }
+    return {
+        lastUpdated: commits[0].date,
+        contributors: Object.keys(counts).sort((a, b) => counts[b] - counts[a]),
+    };
+}
+
+/**
+ * Determine the URL at which a source file can be edited on GitHub.
+ * @param {string} file A file path relative to the repository root.
+ * @return {string}
+ */
+function getEditUrl(file) {
+    return `${sourceRepository}/edit/${sourceBranch}/${file}`;
+}
+
+/**
+ * Determine when a page was last updated, who contributed to it, and where it can be edited.
+ * @param {string} file The source file of the page, relative to the repository root.
+ * @return {{lastUpdated: string|null, contributors: string[], editUrl: string}}
+ */
+function getPageInfo(file) {
+    const history = getFileHistory(file);
+    return {
+        lastUpdated: history ? history.lastUpdated : null,
+        contributors: history ? history.contributors : [],
+        editUrl: getEditUrl(file),
+    };
+}
+
+module.exports = {
+    getFileHistory,
+    getEditUrl,
+    getPageInfo,
+};
@@ -0,0 +1,77 @@
+const unified = require('unified');
+const remarkParse = require('remark-parse');
+const gfm = require('remark-gfm');
+const visit = require('unist-util-visit');
+const toString = require('mdast-util-to-string');
+
+/**
+ * Determine the id of a heading based on its text.
+ * @param {string} text The text content of a heading.
+ * @return {string}
+ */
+function headingSlug(text) {
+    return text.toLowerCase().replace(/\W/g, '-');
+}
+
+/**
+ * Create a function that determines heading ids that are unique within a page,
+ * by suffixing '-1', '-2', ... to ids of headings with the same text as a previous heading.
+ * @return {function(string): string}
+ */
+function createSlugger() {
+    const used = new Set();
+    return text => {
+        const base = headingSlug(text);
+        let slug = base;
+        for (let i = 1; used.has(slug); i++) {
+            slug = `${base}-${i}`;
+        }
+        used.add(slug);
+        return slug;
+    };
+}
+
+/**
+ * Remark plugin that sets unique ids on all headings.
+ */
+function remarkHeadingIds() {
+    return tree => {
+        const slug = createSlugger();
+        visit(tree, 'heading', node => {
+            node.data = node.data || {};
+            node.data.hProperties = { ...node.data.hProperties, id: slug(toString(node)) };
+        });
+    };
+}
+
+/**
+ * Determine the table of contents of a markdown page, consisting of its h2 headings with their nested h3 headings.
+ * Ids are determined in the same way as by remarkHeadingIds.
+ * @param {string} markdown The markdown contents of a page.
+ * @return {{id: string, text: string, children: Object[]}[]}
+ */
+function getTableOfContents(markdown) {
+    const tree = unified().use(remarkParse).use(gfm).parse(markdown);
+    const slug = createSlugger();
+    const toc = [];
+    let section;
+    visit(tree, 'heading', node => {
+        const text = toString(node);
+        const entry = { id: slug(text), text, children: [] };
+        if (node.depth === 2) {
+            section = entry;
+            toc.push(entry);
+        } else if (node.depth === 3) {
+            // h3 headings before the first h2 heading are placed at the top level
+            (section ? section.children : toc).push(entry);
+        }
+    });
+    return toc;
+}
+
+module.exports = {
+    headingSlug,
+    createSlugger,
+    remarkHeadingIds,
+    getTableOfContents,
+};
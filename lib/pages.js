@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { tagPath } = require('./tags');
+const { scanDir } = require('./files');
+
+/**
+ * Pages that are written in JavaScript, and are not part of the documentation navigation.
+ * Their titles are used for their social cards.
+ */
+const scriptPages = [
+    { path: '/', title: 'A knowledge graph querying framework', source: 'pages/index.js' },
+    { path: '/association/bounties/', title: 'Comunica Association Bounties', source: 'pages/association/bounties.js' },
+    { path: '/search/', title: 'Search', source: 'pages/search.js' },
+];
+
+/**
+ * Pages that are not written in markdown, but are part of the documentation navigation.
+ */
+const additionalMattersData = [
+    {
+        path: '/docs/modify/advanced/buses/',
+        sortKey: '/docs/2_modify/advanced/buses/',
+        title: 'Buses and Actors',
+        description: 'An overview of all buses in Comunica and their actors.',
+        source: 'pages/docs/modify/advanced/buses.js',
+    },
+    {
+        path: '/docs/modify/advanced/algebra_playground/',
+        // Placed right after the algebra page, before which localeCompare would otherwise sort it
+        sortKey: '/docs/2_modify/advanced/algebra/playground/',
+        title: 'Algebra Playground',
+        description: 'Convert SPARQL queries to Comunica\'s algebra and back in your browser.',
+        source: 'pages/docs/modify/advanced/algebra_playground.js',
+    },
+];
+
+/**
+ * Remove the numeric ordering prefixes from a page path,
+ * such as '/docs/1_query/2_usage/' to '/docs/query/usage/'.
+ * @param {string} path A page path derived from a file path.
+ * @return {string}
+ */
+function cleanPagePath(path) {
+    let match;
+    let cleaned = path;
+    while (match = /\/[0-9]*_/.exec(cleaned)) {
+        cleaned = cleaned.replace(match, '/');
+    }
+    return cleaned;
+}
+
+/**
+ * Determine the page paths of all markdown files in pages/.
+ * @return {{path: string, sortKey: string, source: string}[]}
+ * The page paths, the paths with ordering prefixes by which pages are sorted, and the markdown files.
+ */
+function getMarkdownPages() {
+    return scanDir('pages', '.md').map(filePath => {
+        const source = filePath.split(path.sep).join('/');
+        const sortKey = source.slice('pages'.length, -'.md'.length) + '/';
+        return { path: cleanPagePath(sortKey), sortKey, source };
+    });
+}
+
+/**
+ * Read all markdown pages, the tag index pages, and the pages in additionalMattersData.
+ * The paths are those of the pages that are generated from markdown, including the tag index pages.
+ * @return {Promise<{paths: {path: string, sortKey: string}[], matters: Object, fallback: boolean}>}
+ */
+async function getStaticData() {
+    const markdownPages = getMarkdownPages();
+    const paths = markdownPages.map(({ path, sortKey }) => ({ path, sortKey }));
+
+    const matters = Object.fromEntries(markdownPages.map(({ path, source }) => [ path, {
+        ...matter(fs.readFileSync(source, { encoding: 'utf-8' }), { excerpt_separator: '<!-- excerpt-end -->' }),
+        source,
+    } ]));
+
+    const { tagPaths, tagMatters } = getTagData(matters);
+
+    const additionalMatters = Object.fromEntries(additionalMattersData.map(p => [p.path, {
+        data: p,
+        content: '',
+        excerpt: '',
+        source: p.source,
+    }]));
+    return {
+        paths: [...paths, ...tagPaths],
+        matters: {...matters, ...tagMatters, ...additionalMatters},
+        fallback: false,
+    }
+}
+
+/**
+ * Determine all pages that are published, which are the script pages, the pages generated from markdown,
+ * and the pages in additionalMattersData.
+ * @return {Promise<{path: string, source?: string, data: Object}[]>} The pages, with their source file and frontmatter.
+ */
+async function getPublishedPages() {
+    const { paths, matters } = await getStaticData();
+    return [
+        ...scriptPages.map(({ path, source, ...data }) => ({ path, source, data })),
+        ...paths.map(({ path }) => ({ path, source: matters[path].source, data: matters[path].data })),
+        ...additionalMattersData.map(({ path, source, ...data }) => ({ path, source, data })),
+    ];
+}
+
+/**
+ * Generate an index page for each tag that is used in blog posts, and an overview page of all tags.
+ * @param matters Parsed markdown files by path.
+ */
+function getTagData(matters) {
+    const tags = [...new Set(Object.keys(matters)
+        .filter(p => p.startsWith('/blog/'))
+        .flatMap(p => matters[p].data.tags || []))]
+        .sort();
+
+    const tagMatters = {
+        '/blog/tags/': {
+            data: {
+                title: 'Tags',
+                description: 'All tags of blog posts.',
+                tag_list: tags,
+            },
+            content: '',
+            excerpt: '',
+        },
+    };
+    for (const tag of tags) {
+        tagMatters[tagPath(tag)] = {
+            data: {
+                title: `Posts tagged '${tag}'`,
+                description: `Blog posts about ${tag}.`,
+                tag_index: tag,
+            },
+            content: `Subscribe to these posts via [RSS](${tagPath(tag)}rss-feed.xml), [Atom](${tagPath(tag)}atom-feed.xml), or [JSON Feed](${tagPath(tag)}feed.json).`,
+            excerpt: '',
+        };
+    }
+
+    return {
+        tagPaths: Object.keys(tagMatters).map(path => ({ path, sortKey: path })),
+        tagMatters,
+    };
+}
+
+/**
+ * Determine all page paths in the order of their file names, and the frontmatter of all pages by path.
+ * This includes the pages in additionalMattersData.
+ * @param {{paths: {path: string, sortKey: string}[], matters: Object}} staticData The result of getStaticData.
+ * @return {{sortedPaths: string[], mattersData: Object}}
+ */
+function getNavigationData({ paths, matters }) {
+    const mattersData = {};
+    for (const p in matters) {
+        mattersData[p] = { ...matters[p].data };
+        const excerpt = matters[p].excerpt;
+        if (excerpt) {
+            mattersData[p].excerpt = excerpt;
+        }
+    }
+    const sortedPaths = [
+        ...paths,
+        ...additionalMattersData.map(p => ({ path: p.path, sortKey: p.sortKey})),
+    ].sort((a, b) => a.sortKey.localeCompare(b.sortKey)).map(p => p.path);
+    return { sortedPaths, mattersData };
+}
+
+module.exports = {
+    additionalMattersData,
+    cleanPagePath,
+    getStaticData,
+    getPublishedPages,
+    getNavigationData,
+};
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import 'cross-fetch/polyfill';
+
+/**
+ * Directory in which files fetched from GitHub are cached,
+ * so that later builds can fall back to them when the network is unavailable.
+ * @type {string}
+ */
+const defaultCacheDir = path.join(process.cwd(), '.cache', 'github');
+
+/**
+ * Create a source of files within a GitHub repository.
+ *
+ * Files are read from a local checkout if `localPath` is set.
+ * Otherwise, they are fetched from raw.githubusercontent.com and stored in an on-disk cache,
+ * which is used as fallback when fetching fails or when `offline` is set.
+ *
+ * @param {string} repo The repository name, such as 'comunica/comunica'.
+ * @param {string} branch The branch to read from.
+ * @param {string} [localPath] Path to a local checkout of the repository.
+ * @param {string} [cacheDir] Directory for caching fetched files.
+ * @param {boolean} [offline] If the network must never be used.
+ */
+export function createRepoSource({ repo, branch = 'master', localPath, cacheDir = defaultCacheDir, offline = false }) {
+    const rawUrl = `https://raw.githubusercontent.com/${repo}/refs/heads/${branch}/`;
+
+    async function readFile(file) {
+        if (localPath) {
+            try {
+                return await fs.promises.readFile(path.join(localPath, file), 'utf8');
+            } catch (e) {
+                throw new Error(`Could not read ${file} from local checkout ${localPath}: ${e.message}`);
+            }
+        }
+
+        const cacheFile = path.join(cacheDir, repo, branch, file);
+        let fetchError = 'offline mode is enabled';
+        if (!offline) {
+            try {
+                const response = await fetch(rawUrl + file);
+                if (!response.ok) {
+                    throw new Error(`HTTP status ${response.status}`);
+                }
+                const text = await response.text();
+                await fs.promises.mkdir(path.dirname(cacheFile), { recursive: true });
+                await fs.promises.writeFile(cacheFile, text);
+                return text;
+            } catch (e) {
+                fetchError = e.message;
+            }
+        }
+
+        let cached;
+        try {
+            cached = await fs.promises.readFile(cacheFile, 'utf8');
+        } catch (e) {
+            throw new Error(`Could not fetch ${rawUrl}${file} (${fetchError}), and no cached copy exists at ${cacheFile}`);
+        }
+        if (!offline) {
+            console.warn(`Could not fetch ${rawUrl}${file} (${fetchError}), using cached copy`);
+        }
+        return cached;
+    }
+
+    async function readJson(file) {
+        const text = await readFile(file);
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Could not parse ${file} from ${repo} as JSON: ${e.message}`);
+        }
+    }
+
+    return {
+        repo,
+        branch,
+        treeUrl: `https://github.com/${repo}/tree/${branch}/`,
+        readFile,
+        readJson,
+    };
+}
+
+/**
+ * Environment variables that can point to a local checkout of a Comunica repository.
+ * @type {Object<string, string>}
+ */
+const localPathVariables = {
+    'comunica/comunica': 'COMUNICA_PATH',
+    'comunica/comunica-feature-hdt': 'COMUNICA_HDT_PATH',
+};
+
+/**
+ * Create a source for a Comunica repository,
+ * configured via the COMUNICA_PATH (or COMUNICA_HDT_PATH) and COMUNICA_OFFLINE environment variables.
+ * @param {string} [repo] The repository name.
+ */
+export function createComunicaSource(repo = 'comunica/comunica') {
+    return createRepoSource({
+        repo,
+        localPath: process.env[localPathVariables[repo]],
+        offline: process.env.COMUNICA_OFFLINE === 'true',
+    });
+}
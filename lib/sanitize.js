@@ -0,0 +1,120 @@
+const clean = require('hast-util-sanitize');
+const githubSchema = require('hast-util-sanitize/lib/github.json');
+
+/**
+ * Hosts from which local markdown may embed iframes.
+ */
+const iframeHosts = [
+    'www.youtube.com',
+    'www.youtube-nocookie.com',
+    'docs.google.com',
+    'comunica.github.io',
+];
+
+/**
+ * Schema for markdown from outside sources, such as GitHub issues and READMEs.
+ * This is the GitHub schema, which only additionally allows highlighting code blocks.
+ */
+const remoteSchema = {
+    ...githubSchema,
+    attributes: {
+        ...githubSchema.attributes,
+        code: [ ...githubSchema.attributes.code || [], 'className' ],
+    },
+};
+
+/**
+ * Schema for trusted markdown in this repository.
+ * Next to the GitHub schema, this allows classes (such as `docs-intro-img` divs), inline styles,
+ * roles (such as of admonitions), code block annotations, code groups, centering, and iframes (of which the host is checked separately).
+ * Ids are not prefixed, so that links to headings keep working.
+ */
+const localSchema = {
+    ...githubSchema,
+    clobber: [],
+    tagNames: [ ...githubSchema.tagNames, 'iframe', 'center', 'code-group' ],
+    attributes: {
+        ...githubSchema.attributes,
+        '*': [ ...githubSchema.attributes['*'], 'className', 'style', 'role' ],
+        code: [ ...githubSchema.attributes.code || [], 'dataMeta' ],
+        iframe: [ 'src', 'allow', 'allowFullScreen', 'frameBorder', 'marginHeight', 'marginWidth', 'scrolling' ],
+    },
+};
+
+function countElements(node, counts = {}) {
+    if (node.type === 'element') {
+        counts[node.tagName] = (counts[node.tagName] || 0) + 1;
+        for (const property of Object.keys(node.properties || {})) {
+            const key = `${node.tagName}[${property}]`;
+            counts[key] = (counts[key] || 0) + 1;
+        }
+    }
+    (node.children || []).forEach(child => countElements(child, counts));
+    return counts;
+}
+
+/**
+ * Remove iframes of which the source is not on an allowed host.
+ * @return {string[]} The sources of removed iframes.
+ */
+function removeIframes(node) {
+    const removed = [];
+    if (node.children) {
+        node.children = node.children.filter(child => {
+            if (child.type === 'element' && child.tagName === 'iframe') {
+                let host;
+                try {
+                    host = new URL(child.properties.src).host;
+                } catch (e) {
+                    // Relative or invalid sources are not allowed
+                }
+                if (!iframeHosts.includes(host)) {
+                    removed.push(child.properties.src);
+                    return false;
+                }
+            }
+            removed.push(...removeIframes(child));
+            return true;
+        });
+    }
+    return removed;
+}
+
+/**
+ * Rehype plugin that removes all elements and attributes that are not allowed,
+ * and warns about them during the build.
+ * @param {boolean} remote If the markdown comes from an outside source, for which the strict schema is used.
+ * @param {string} source A description of where the markdown comes from, used in warnings.
+ */
+function rehypeSanitizeReported({ remote, source }) {
+    return tree => {
+        const schema = remote ? remoteSchema : localSchema;
+        const stripped = [];
+        if (!remote) {
+            stripped.push(...removeIframes(tree).map(src => `iframe[src=${src}]`));
+        }
+
+        const before = countElements(tree);
+        const result = clean(tree, schema);
+        const after = countElements(result);
+        for (const key in before) {
+            // Attributes of elements that were stripped entirely are not reported separately
+            if ((after[key] || 0) < before[key] && !stripped.includes(key.replace(/\[.*$/, ''))) {
+                stripped.push(key);
+            }
+        }
+
+        // Only report during the build, and not in the browser
+        if (stripped.length > 0 && typeof window === 'undefined') {
+            console.warn(`Stripped disallowed HTML from ${source || 'markdown'}: ${stripped.join(', ')}`);
+        }
+        return result;
+    };
+}
+
+module.exports = {
+    iframeHosts,
+    remoteSchema,
+    localSchema,
+    rehypeSanitizeReported,
+};
@@ -0,0 +1,71 @@
+const { getDocVersion } = require('./docVersions');
+
+/**
+ * Sections that search results can be filtered on, with their labels.
+ */
+const searchSections = {
+    'docs/query': 'Query documentation',
+    'docs/modify': 'Modify documentation',
+    'blog': 'Blog',
+    'events': 'Events',
+    'research': 'Research',
+};
+
+/**
+ * Determine the section of a page for filtering search results.
+ * Documentation pages of all versions belong to the same sections.
+ * @param {string} path A page path, such as '/docs/v4/query/usage'.
+ * @return {string|undefined} A key of searchSections, or undefined for pages outside of these sections.
+ */
+function getSearchSection(path) {
+    const version = getDocVersion(path);
+    const section = version
+        ? 'docs/' + path.slice(version.path.length).split('/')[0]
+        : path.split('/')[1];
+    return searchSections[section] ? section : undefined;
+}
+
+/**
+ * Determine how much the contents of a page weigh in search results.
+ * Documentation is preferred, and blog posts are penalized,
+ * as release posts mention many features in passing.
+ * @param {string} path A page path.
+ * @return {number}
+ */
+function getSearchWeight(path) {
+    if (path.startsWith('/docs/')) {
+        return 2;
+    }
+    if (path.startsWith('/blog/')) {
+        return 0.5;
+    }
+    return 1;
+}
+
+/**
+ * Determine the Pagefind filters of a page, as 'key:value' strings.
+ * The documentation version filter is set separately by the version switcher.
+ * @param {string} path A page path.
+ * @param frontmatter The frontmatter of the page.
+ * @return {string[]}
+ */
+function getSearchFilters(path, frontmatter) {
+    const filters = [];
+    const section = getSearchSection(path);
+    if (section) {
+        filters.push(`section:${section}`);
+    }
+    const yearMatch = /^\/blog\/([0-9]{4})-/.exec(path);
+    if (yearMatch) {
+        filters.push(`year:${yearMatch[1]}`);
+    }
+    filters.push(`status:${frontmatter.wip ? 'Under construction' : 'Complete'}`);
+    return filters;
+}
+
+module.exports = {
+    searchSections,
+    getSearchSection,
+    getSearchWeight,
+    getSearchFilters,
+};
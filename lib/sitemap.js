@@ -0,0 +1,42 @@
+const { baseUrl, pageUrl } = require('./structuredData');
+const { escapeXml } = require('./xml');
+
+/**
+ * Generate a sitemap of the given pages.
+ * @param {{path: string, lastUpdated: string|null}[]} pages Pages with the ISO date at which they were last changed.
+ * @return {string}
+ */
+function generateSitemap(pages) {
+    const urls = pages.map(({ path, lastUpdated }) => [
+        '  <url>',
+        `    <loc>${escapeXml(pageUrl(path))}</loc>`,
+        ...lastUpdated ? [ `    <lastmod>${lastUpdated}</lastmod>` ] : [],
+        '  </url>',
+    ].join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Generate a robots.txt file that allows all crawlers, and refers to the sitemap.
+ * @return {string}
+ */
+function generateRobots() {
+    return [
+        'User-agent: *',
+        'Allow: /',
+        '',
+        `Sitemap: ${baseUrl}/sitemap.xml`,
+        '',
+    ].join('\n');
+}
+
+module.exports = {
+    generateSitemap,
+    generateRobots,
+};
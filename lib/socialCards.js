@@ -0,0 +1,125 @@
+const { escapeXml } = require('./xml');
+
+/**
+ * Width and height of social cards, as recommended for large link previews.
+ */
+const socialCardWidth = 1200;
+const socialCardHeight = 630;
+
+/**
+ * Sections of the website by the first segment of their path.
+ */
+const sections = {
+    docs: 'Documentation',
+    blog: 'Blog',
+    events: 'Events',
+    association: 'Association',
+};
+
+/**
+ * Determine the path of the social card image of a page.
+ * @param {string} path A page path, with or without trailing slash, such as '/docs/query/usage/'.
+ * @return {string} A path such as '/social-cards/docs/query/usage.png'.
+ */
+function socialCardPath(path) {
+    const trimmed = path.replace(/^\/|\/$/g, '');
+    return `/social-cards/${trimmed || 'index'}.png`;
+}
+
+/**
+ * Determine the section of the website that a page belongs to.
+ * @param {string} path A page path.
+ * @return {string|undefined}
+ */
+function getSection(path) {
+    return sections[path.split('/')[1]];
+}
+
+/**
+ * Determine the released version that a blog post is about.
+ * This is the `version` field in its frontmatter, or the version in titles such as 'Release 1.22.0: ...' or 'Release 3.0: ...'.
+ * @param {string} path A page path.
+ * @param frontmatter The frontmatter of the page.
+ * @return {string|undefined}
+ */
+function getReleaseVersion(path, frontmatter) {
+    if (!path.startsWith('/blog/')) {
+        return;
+    }
+    if (frontmatter.version) {
+        return String(frontmatter.version);
+    }
+    const match = /\bRelease ([0-9]+\.[0-9]+(?:\.[0-9]+)?)/.exec(frontmatter.title || '');
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Split a text into lines of at most the given number of characters, breaking at spaces.
+ * If more lines are needed than allowed, the last line ends with an ellipsis.
+ */
+function wrapText(text, maxChars, maxLines) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = lines[maxLines - 1].slice(0, maxChars - 1).replace(/\s*\S*$/, '') + '…';
+    }
+    return lines;
+}
+
+/**
+ * Remove emoji from a text, as the font of social cards can not render them.
+ * @param {string} text
+ * @return {string}
+ */
+function stripEmoji(text) {
+    return text.replace(/\p{Extended_Pictographic}\uFE0F?/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Generate the SVG of a social card.
+ * Long titles are shown in a smaller font, as the width of characters is estimated, and emoji are left out.
+ * @param {{title: string, section?: string, version?: string}} card The contents of the card.
+ * @param {string} logo The SVG of the Comunica logo.
+ * @param {string} fontFamily The font in which text is rendered.
+ * @return {string}
+ */
+function generateSocialCardSvg({ title: rawTitle, section, version }, logo, fontFamily) {
+    const title = stripEmoji(rawTitle);
+    const large = title.length <= 60;
+    const fontSize = large ? 64 : 50;
+    const lines = wrapText(title, large ? 26 : 34, 4);
+    const lineHeight = fontSize * 1.2;
+    const titleTop = 315 - (lines.length * lineHeight) / 2 + fontSize * 0.8;
+    const logoData = Buffer.from(logo).toString('base64');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${socialCardWidth}" height="${socialCardHeight}" viewBox="0 0 ${socialCardWidth} ${socialCardHeight}">
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  <rect width="24" height="100%" fill="#9C0510"/>
+  <image x="80" y="50" width="110" height="110" href="data:image/svg+xml;base64,${logoData}"/>
+  <text x="200" y="122" font-family="${fontFamily}" font-size="40" font-weight="bold" fill="#000000">Comunica</text>
+  ${section ? `<text x="100" y="${socialCardHeight - 60}" font-family="${fontFamily}" font-size="32" fill="#9C0510">${escapeXml(section)}</text>` : ''}
+  ${version ? `<rect x="${socialCardWidth - 100 - (version.length + 1) * 22}" y="${socialCardHeight - 110}" width="${(version.length + 1) * 22 + 20}" height="70" rx="10" fill="#9C0510"/>
+  <text x="${socialCardWidth - 90}" y="${socialCardHeight - 62}" text-anchor="end" font-family="${fontFamily}" font-size="36" font-weight="bold" fill="#ffffff">v${escapeXml(version)}</text>` : ''}
+  ${lines.map((line, i) => `<text x="100" y="${titleTop + i * lineHeight}" font-family="${fontFamily}" font-size="${fontSize}" font-weight="bold" fill="#000000">${escapeXml(line)}</text>`).join('\n  ')}
+</svg>`;
+}
+
+module.exports = {
+    socialCardWidth,
+    socialCardHeight,
+    socialCardPath,
+    getSection,
+    getReleaseVersion,
+    generateSocialCardSvg,
+};
@@ -0,0 +1,115 @@
+/**
+ * The URL at which this website is published.
+ */
+const baseUrl = 'https://comunica.dev';
+
+const publisher = {
+    '@type': 'Organization',
+    name: 'Comunica',
+    url: `${baseUrl}/`,
+    logo: `${baseUrl}/img/comunica_red.png`,
+};
+
+/**
+ * Determine the absolute URL of a page.
+ * @param {string} path A page path, with or without trailing slash.
+ * @return {string}
+ */
+function pageUrl(path) {
+    return baseUrl + (path.endsWith('/') ? path : path + '/');
+}
+
+/**
+ * Create a schema.org BreadcrumbList that mirrors the breadcrumbs that are shown on a page.
+ * @param {string} path The path of the page.
+ * @param {string} title The title of the page.
+ * @param {string[]} paths All page paths, sorted.
+ * @param mattersData The frontmatter of all pages by path.
+ * @return {Object|null} Null if the page has no breadcrumbs.
+ */
+function getBreadcrumbList(path, title, paths, mattersData) {
+    const entries = paths
+        .filter(p => path.startsWith(p))
+        .map(p => ({ url: pageUrl(p), name: mattersData[p].title }));
+    if (entries.length === 0) {
+        return null;
+    }
+    entries.push({ url: pageUrl(path), name: title });
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: entries.map((entry, i) => ({
+            '@type': 'ListItem',
+            position: i + 1,
+            name: entry.name,
+            item: entry.url,
+        })),
+    };
+}
+
+/**
+ * Create schema.org data that describes a page as a blog post, documentation article, or event.
+ * @param {string} path The path of the page.
+ * @param frontmatter The frontmatter of the page.
+ * @param {string|null} lastUpdated The ISO date at which the page was last changed.
+ * @return {Object|null} Null for other kinds of pages.
+ */
+function getPageStructuredData(path, frontmatter, lastUpdated) {
+    const common = {
+        '@context': 'https://schema.org',
+        url: pageUrl(path),
+        description: frontmatter.description,
+    };
+    const dateMatch = /^\/blog\/([0-9]{4}-[0-9]{2}-[0-9]{2})-/.exec(path);
+    if (dateMatch) {
+        return {
+            ...common,
+            '@type': 'BlogPosting',
+            headline: frontmatter.title,
+            datePublished: dateMatch[1],
+            ...lastUpdated ? { dateModified: lastUpdated } : {},
+            keywords: frontmatter.tags,
+            author: publisher,
+            publisher,
+        };
+    }
+    if (path.startsWith('/docs/')) {
+        return {
+            ...common,
+            '@type': 'TechArticle',
+            headline: frontmatter.title,
+            ...lastUpdated ? { dateModified: lastUpdated } : {},
+            publisher,
+        };
+    }
+    if (path.startsWith('/events/') && frontmatter.start) {
+        const online = frontmatter.type === 'online' || frontmatter.location === 'Online';
+        let location;
+        if (online) {
+            location = { '@type': 'VirtualLocation', url: frontmatter.url || pageUrl(path) };
+        } else if (frontmatter.location) {
+            location = { '@type': 'Place', name: frontmatter.location, address: frontmatter.location };
+        }
+        return {
+            ...common,
+            '@type': 'Event',
+            name: frontmatter.title,
+            startDate: frontmatter.start,
+            ...frontmatter.end ? { endDate: frontmatter.end } : {},
+            eventAttendanceMode: online
+                ? 'https://schema.org/OnlineEventAttendanceMode'
+                : 'https://schema.org/OfflineEventAttendanceMode',
+            location,
+            ...frontmatter.url ? { sameAs: frontmatter.url } : {},
+            organizer: publisher,
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    baseUrl,
+    pageUrl,
+    getBreadcrumbList,
+    getPageStructuredData,
+};
@@ -0,0 +1,22 @@
+/**
+ * Convert a blog tag into the slug that is used in its URL.
+ * @param {string} tag A tag.
+ * @return {string}
+ */
+function tagSlug(tag) {
+    return tag.toLowerCase().replace(/\W+/g, '-');
+}
+
+/**
+ * Determine the path of the index page of a blog tag.
+ * @param {string} tag A tag.
+ * @return {string}
+ */
+function tagPath(tag) {
+    return `/blog/tags/${tagSlug(tag)}/`;
+}
+
+module.exports = {
+    tagSlug,
+    tagPath,
+};
@@ -0,0 +1,76 @@
+/**
+ * The key under which the theme preference of a reader is stored in localStorage.
+ */
+const themeStorageKey = 'theme';
+
+/**
+ * Theme preferences, where 'system' follows the color scheme of the operating system.
+ */
+const themePreferences = [ 'system', 'light', 'dark' ];
+
+/**
+ * Determine the stored theme preference.
+ * @return {string} One of themePreferences.
+ */
+function getThemePreference() {
+    try {
+        const preference = localStorage.getItem(themeStorageKey);
+        return themePreferences.includes(preference) ? preference : 'system';
+    } catch (e) {
+        // localStorage may be unavailable, such as in private browsing modes
+        return 'system';
+    }
+}
+
+/**
+ * Set the 'data-theme' attribute of the html element to 'light' or 'dark', based on a theme preference.
+ * @param {string} preference One of themePreferences.
+ */
+function applyTheme(preference) {
+    const dark = preference === 'dark' ||
+        (preference === 'system' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    document.documentElement.setAttribute('data-theme', dark ? 'dark' : 'light');
+}
+
+/**
+ * Script that applies the stored theme before the page is rendered, to avoid a flash of the wrong theme.
+ * It is included inline in the document head, so it repeats the logic of getThemePreference and applyTheme.
+ */
+const themeScript = `(function () {
+    var preference = 'system';
+    try {
+        preference = localStorage.getItem(${JSON.stringify(themeStorageKey)}) || 'system';
+    } catch (e) {}
+    var dark = preference === 'dark' ||
+        (preference !== 'light' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    document.documentElement.setAttribute('data-theme', dark ? 'dark' : 'light');
+})();`;
+
+/**
+ * Connect the theme switcher in the navigation bar, which is rendered in the document and not hydrated.
+ */
+function initThemeSwitcher() {
+    const media = window.matchMedia('(prefers-color-scheme: dark)');
+    media.addEventListener('change', () => applyTheme(getThemePreference()));
+
+    const switcher = document.querySelector('.theme-switcher');
+    if (!switcher) {
+        return;
+    }
+    switcher.value = getThemePreference();
+    switcher.addEventListener('change', () => {
+        try {
+            localStorage.setItem(themeStorageKey, switcher.value);
+        } catch (e) {
+            // The preference then only applies to the current page
+        }
+        applyTheme(switcher.value);
+    });
+}
+
+module.exports = {
+    themeStorageKey,
+    themePreferences,
+    themeScript,
+    initThemeSwitcher,
+};
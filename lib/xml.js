@@ -0,0 +1,16 @@
+/**
+ * Escape a text for use in XML content and attribute values.
+ * @param {string} text
+ * @return {string}
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    escapeXml,
+};
@@ -2,13 +2,6 @@
 module.exports = {
     output: 'standalone',
     trailingSlash: true,
-    webpack: function (config) {
-        config.module.rules.push({
-            test: /\.md$/,
-            use: 'raw-loader',
-        })
-        return config
-    },
     devIndicators: {
         autoPrerender: false,
     },
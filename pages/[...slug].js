@@ -1,27 +1,53 @@
 import Head from '../components/Head';
-import matter from 'gray-matter'
 import DocIndex from "../components/DocIndex";
 import BlogIndex from "../components/BlogIndex";
+import EventIndex from "../components/EventIndex";
 import BreadCrumbs from "../components/Breadcrumbs";
 import Markdown from "../components/Markdown";
+import Tags from "../components/Tags";
+import VersionSwitcher from "../components/VersionSwitcher";
+import TableOfContents from "../components/TableOfContents";
+import DocSidebar from "../components/DocSidebar";
+import DocPagination from "../components/DocPagination";
+import PageInfo from "../components/PageInfo";
+import RecentlyUpdated from "../components/RecentlyUpdated";
+import SearchFilters from "../components/SearchFilters";
 import React from 'react';
 import Template from "./template";
+import { tagPath } from "../lib/tags";
+import { formatEventDates } from "../lib/events";
+import { getNavigationData, getStaticData } from "../lib/pages";
+import { getTableOfContents } from "../lib/headings";
+import { getDocNavigation } from "../lib/docNavigation";
+import { getDocVersion } from "../lib/docVersions";
+import { getFileHistory, getPageInfo } from "../lib/gitHistory";
+import { getBreadcrumbList, getPageStructuredData } from "../lib/structuredData";
+import { getSearchFilters, getSearchWeight } from "../lib/search";
 
-const additionalMattersData = [
-    {
-        path: '/docs/modify/advanced/buses/',
-        sortKey: '/docs/2_modify/advanced/buses/',
-        title: 'Buses and Actors',
-        description: 'An overview of all buses in Comunica and their actors.',
-    }
-];
+/**
+ * The text of the under construction callout, if the `wip` frontmatter field is `true` instead of a text.
+ */
+const defaultWipText = `This section still needs to be created 🔨.
+In the meantime, you can read our [old documentation](https://comunica.readthedocs.io/en/latest/) and check our [tutorials](https://github.com/comunica?utf8=%E2%9C%93&q=topic%3Atutorial&type=&language=).
+
+[You can contribute by helping to write guides like this.](/contribute/)`;
+
+/**
+ * Create the markdown of the callout on pages that are under construction.
+ * @param {string|boolean} wip The `wip` frontmatter field, which is either `true` or a markdown text.
+ * @return {string}
+ */
+function wipCallout(wip) {
+    return `:::warning 🚧 Under construction 🚧\n${wip === true ? defaultWipText : wip}\n:::`;
+}
 
 export default class Page extends React.Component {
     render() {
-        const { frontmatter, body, path, sortedPaths, mattersData, excerpt } = this.props;
+        const { frontmatter, body, path, sortedPaths, mattersData, excerpt, buildTime, toc, docNavigation, pageInfo, recentlyUpdated } = this.props;
         let dateString = '';
-        if (path.startsWith('/blog/')) {
-            const [_, year, month, day] = /^\/blog\/([0-9][0-9][0-9][0-9])-([0-9][0-9])-([0-9][0-9])-/.exec(path);
+        const dateMatch = /^\/blog\/([0-9][0-9][0-9][0-9])-([0-9][0-9])-([0-9][0-9])-/.exec(path);
+        if (dateMatch) {
+            const [_, year, month, day] = dateMatch;
             const date = new Date(`${month} ${day} ${year}`)
                 .toLocaleDateString("en-US", { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
             dateString = <p className={"date"}>{date}</p>;
@@ -29,32 +55,46 @@ export default class Page extends React.Component {
         return (
             <Template key={path}>
             <div className="container-page">
-                <Head title={frontmatter.title} description={excerpt || frontmatter.description}/>
+                <Head title={frontmatter.title} description={excerpt || frontmatter.description} path={path}
+                      structuredData={[
+                          getPageStructuredData(path, { ...frontmatter, description: excerpt || frontmatter.description }, pageInfo && pageInfo.lastUpdated),
+                          getBreadcrumbList(path, frontmatter.title, sortedPaths, mattersData),
+                      ]}
+                      feeds={frontmatter.tag_index ? [{ title: `Comunica – Blog – ${frontmatter.tag_index}`, path: tagPath(frontmatter.tag_index) }] : []}/>
+                {docNavigation && <DocSidebar path={path} tree={docNavigation.tree}/>}
                 <main>
                     <BreadCrumbs frontmatter={frontmatter} path={path} paths={sortedPaths} mattersData={mattersData}/>
+                    <VersionSwitcher path={path} paths={sortedPaths}/>
                     <h1>{frontmatter.title}</h1>
                     { dateString }
+                    <Tags tags={frontmatter.tags} />
+                    {path.startsWith('/events/') && frontmatter.start && <table className={"event-details"}>
+                        <tbody>
+                        <tr><td>Date</td><td>{formatEventDates(path + '/', frontmatter)}</td></tr>
+                        {frontmatter.location && <tr><td>Location</td><td>{frontmatter.location}</td></tr>}
+                        {frontmatter.type && <tr><td>Type</td><td>{frontmatter.type}</td></tr>}
+                        {frontmatter.url && <tr><td>Website</td><td><a href={frontmatter.url}>{frontmatter.url}</a></td></tr>}
+                        <tr><td>Calendar</td><td><a href={path + '/event.ics'}>Add to calendar (.ics)</a></td></tr>
+                        </tbody>
+                    </table>}
                     <hr />
-                    {frontmatter.wip && <div className={'wip'}>
-                        <h2>🚧 Under construction 🚧️</h2>
-                        <p>
-                            This section still needs to be created 🔨.
-                            <br />
-                            In the meantime, you can read our <a href={"https://comunica.readthedocs.io/en/latest/"}>old documentation</a> and check our <a href={"https://github.com/comunica?utf8=%E2%9C%93&q=topic%3Atutorial&type=&language="}>tutorials</a>.
-                        </p>
-                        <p>
-                            <a href={"/contribute/"}>You can contribute by helping to write guides like this.</a>
-                        </p>
-                    </div>}
-                    <div className="headers-overview">
-                        <p>On this page</p>
-                        <ol className="headers-overview-elements"/>
-                    </div>
-                    <div data-pagefind-weight={path.startsWith('/docs/') ? "2" : "1"}>
-                        <Markdown body={body} />
+                    {frontmatter.wip && <Markdown body={wipCallout(frontmatter.wip)} source={path}/>}
+                    <TableOfContents toc={toc}/>
+                    <SearchFilters filters={getSearchFilters(path, frontmatter)}/>
+                    <div data-pagefind-weight={getSearchWeight(path)}>
+                        <Markdown body={body} source={path}/>
                     </div>
                     {frontmatter.index && <DocIndex path={path} paths={sortedPaths} mattersData={mattersData} reverse={frontmatter.reverse}/>}
                     {frontmatter.blog_index && <BlogIndex path={path} paths={sortedPaths} mattersData={mattersData}/>}
+                    {frontmatter.events_index && <EventIndex path={path} paths={sortedPaths} mattersData={mattersData} buildTime={buildTime}/>}
+                    {frontmatter.tag_index && <BlogIndex path={'/blog'} paths={sortedPaths} mattersData={mattersData} tag={frontmatter.tag_index}/>}
+                    {frontmatter.tag_list && <Tags tags={frontmatter.tag_list} />}
+                    {recentlyUpdated && <>
+                        <h2 id="recently-updated">Recently updated</h2>
+                        <RecentlyUpdated pages={recentlyUpdated}/>
+                    </>}
+                    <PageInfo pageInfo={pageInfo}/>
+                    {docNavigation && <DocPagination previous={docNavigation.previous} next={docNavigation.next}/>}
                 </main>
             </div>
             </Template>
@@ -64,21 +104,11 @@ export default class Page extends React.Component {
 
 export async function getStaticProps({ ...ctx }) {
     const { slug } = ctx.params;
-    const { paths, matters } = await getStaticData();
+    const staticData = await getStaticData();
+    const { matters } = staticData;
+    const { sortedPaths, mattersData } = getNavigationData(staticData);
     const path = '/' + slug.join('/');
     const data = matters[path + '/'];
-    const mattersData = {};
-    for (const p in matters) {
-        mattersData[p] = matters[p].data;
-        const excerpt = matters[p].excerpt;
-        if (excerpt) {
-            mattersData[p].excerpt = excerpt;
-        }
-    }
-    const sortedPaths = [
-        ...paths,
-        ...additionalMattersData.map(p => ({ path: p.path, sortKey: p.sortKey})),
-    ].sort((a, b) => a.sortKey.localeCompare(b.sortKey)).map(p => p.path);
 
     return {
         props: {
@@ -88,48 +118,36 @@ export async function getStaticProps({ ...ctx }) {
             path,
             sortedPaths,
             mattersData,
+            toc: getTableOfContents(data.content),
+            docNavigation: getDocNavigation(path, sortedPaths, mattersData),
+            pageInfo: data.source ? getPageInfo(data.source) : null,
+            recentlyUpdated: data.data.recently_updated ? getRecentlyUpdated(path, matters, data.data.recently_updated) : null,
+            // Used to determine upcoming events, which must be the same during rendering and hydration
+            buildTime: new Date().toISOString(),
         },
     }
 }
 
+/**
+ * Determine the most recently updated pages within the documentation version of the given page.
+ * @param {string} path The path of the page listing the updates.
+ * @param matters Parsed pages by path.
+ * @param {number|boolean} count The number of pages to list, or true for the default number.
+ * @return {{path: string, title: string, lastUpdated: string}[]}
+ */
+function getRecentlyUpdated(path, matters, count) {
+    const version = getDocVersion(path);
+    return Object.keys(matters)
+        .filter(p => p !== path + '/' && matters[p].source && getDocVersion(p) === version)
+        .map(p => ({ path: p, title: matters[p].data.title, history: getFileHistory(matters[p].source) }))
+        .filter(p => p.history)
+        .map(({ path, title, history }) => ({ path, title, lastUpdated: history.lastUpdated }))
+        .sort((a, b) => b.lastUpdated.localeCompare(a.lastUpdated))
+        .slice(0, count === true ? 10 : count);
+}
+
 export async function getStaticPaths() {
     const { paths, fallback } = await getStaticData();
     const rawPaths = paths.map(p => p.path);
     return { paths: rawPaths, fallback };
 }
-
-export async function getStaticData() {
-    const pathsRaw = ((context) => {
-        const keys = context.keys();
-        const data = keys.map((key, index) => {
-            let slug = key.slice(1, -3);
-            return slug + '/';
-        })
-        return data;
-    })(require.context('./', true, /\.md$/));
-
-    // Remove index from file name
-    const paths = pathsRaw.map(p => {
-        let match;
-        let cleaned = p;
-        while (match = /\/[0-9]*_/.exec(cleaned)) {
-            cleaned = cleaned.replace(match, '/');
-        }
-        return { path: cleaned, sortKey: p };
-    });
-
-    const matters = (await Promise.all(pathsRaw
-        .map(path => import(`.${path.slice(0, -1)}.md`))))
-        .map(content => matter(content.default, { excerpt_separator: '<!-- excerpt-end -->' }))
-        .reduce((acc, content, i) => {
-            acc[paths[i].path] = content;
-            return acc;
-        }, {});
-
-    const additionalMatters = Object.fromEntries(additionalMattersData.map(p => [p.path, { data: p, content: '', excerpt: '' }]));
-    return {
-        paths,
-        matters: {...matters, ...additionalMatters},
-        fallback: false,
-    }
-}
@@ -1,19 +1,21 @@
 import '../styles/main.scss'
 import '../node_modules/highlight.js/styles/github.css';
-import ReactGA from 'react-ga4';
 import React from 'react';
+import { getDocSearchFilters } from '../lib/docVersions';
+import { initThemeSwitcher } from '../lib/theme';
+import AnalyticsConsent from '../components/AnalyticsConsent';
 
 export default class MyApp extends React.Component {
 
     render() {
         const { Component, pageProps } = this.props;
-        return <Component {...pageProps} />
+        return <>
+            <Component {...pageProps} />
+            <AnalyticsConsent />
+        </>
     }
 
     componentDidMount() {
-        ReactGA.initialize('G-HT178MX8JL');
-        ReactGA.send({ hitType: 'pageview', page: window.location.pathname });
-
         // This should actually be in our Navigation component, but is not being called there for some reason
         const nav = document.querySelector('nav');
         const toggle = document.querySelector('.toggle-nav');
@@ -27,5 +29,20 @@ export default class MyApp extends React.Component {
             event.preventDefault();
             return false;
         }, false);
+
+        initThemeSwitcher();
+
+        // Only show search results of the documentation version that is being viewed
+        // Pagefind is loaded as a module script, so it may only become available after hydration.
+        const scopeSearch = () => {
+            if (window.PagefindComponents) {
+                window.PagefindComponents.getInstanceManager().getInstance('default').searchFilters = getDocSearchFilters(window.location.pathname);
+            }
+        };
+        if (document.readyState === 'complete') {
+            scopeSearch();
+        } else {
+            window.addEventListener('load', scopeSearch);
+        }
     }
 }
@@ -1,6 +1,7 @@
 import Document, { Html, Head, Main, NextScript } from 'next/document'
 import Navigation from "../components/Navigation";
 import Foot from "../components/Foot";
+import { themeScript } from "../lib/theme";
 
 class MyDocument extends Document {
     static async getInitialProps(ctx) {
@@ -12,6 +13,8 @@ class MyDocument extends Document {
         return (
             <Html>
                 <Head>
+                    {/* Applies the stored theme before rendering, so that the wrong theme is not shown briefly */}
+                    <script dangerouslySetInnerHTML={{ __html: themeScript }}/>
                     <link rel="icon" href="/favicon.ico"/>
                     <link href="/pagefind/pagefind-component-ui.css" rel="stylesheet"/>
                 </Head>
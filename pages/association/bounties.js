@@ -1,17 +1,30 @@
 import Head from '../../components/Head';
+import NextHead from 'next/head';
 import Markdown from "../../components/Markdown";
-import 'cross-fetch/polyfill';
+import React, { useState } from 'react';
+import { loadBounties } from "../../lib/bounties";
+
+/**
+ * Available orderings of bounties, where the date is the creation date for open bounties,
+ * and the completion date for completed bounties, and the value is the sum of the sponsored amounts.
+ */
+const sortOrders = {
+    oldest: { label: 'Oldest first', compare: (a, b, dateField) => new Date(a[dateField]) - new Date(b[dateField]) },
+    newest: { label: 'Newest first', compare: (a, b, dateField) => new Date(b[dateField]) - new Date(a[dateField]) },
+    amount: { label: 'Highest value first', compare: (a, b) => b.amount - a.amount },
+};
+
+function formatAmount(amount) {
+    return `€ ${amount.toLocaleString('en-US')}`;
+}
 
 function issueToTags(node) {
-    // Determine sponsors
-    const sponsorsStart = node.body.indexOf('<!--bounty:placers:start-->');
-    const sponsorsEnd = node.body.indexOf('<!--bounty:placers:end-->');
-    const sponsors = sponsorsStart >= 0 && sponsorsEnd >= 0 && sponsorsStart < sponsorsEnd ? node.body.slice(sponsorsStart, sponsorsEnd) : '';
+    const sponsors = node.sponsorsBlock;
 
     // Determine assignees
     const assignees = node.assignees.nodes;
 
-    return <div className="card-bounty" id={node.url}>
+    return <div className="card-bounty" id={node.url} key={node.url}>
         <a href={node.repository.url} target="_blank"><h3>{node.repository.nameWithOwner}</h3></a>
         <a href={node.url} target="_blank"><h2>{node.title} <span className="issue-id">#{node.number}</span></h2></a>
         <div className="issue-metadata">
@@ -37,7 +50,7 @@ function issueToTags(node) {
                 {sponsors
                     ? <tr>
                         <td>Sponsors</td>
-                        <td className="issue-sponsors"><Markdown body={sponsors} /></td>
+                        <td className="issue-sponsors"><Markdown body={sponsors} remote source={`sponsors of ${node.url}`}/></td>
                     </tr>
                     : ''
                 }
@@ -57,23 +70,88 @@ function issueToTags(node) {
     //<div className="issue-body" dangerouslySetInnerHTML={{__html: node.bodyHTML}} />
 }
 
-export default function Page({ githubData }) {
-  githubData.data.search.nodes = githubData.data.search.nodes
-  const entriesOpen = githubData.data.search.nodes
-      .filter(node => node.state === 'OPEN')
-      .sort((nodeA, nodeB) => nodeA.createdAt - nodeB.createdAt)
-      .map(node => issueToTags(node));
-  const entriesCompleted = githubData.data.search.nodes
-      .filter(node => node.state === 'CLOSED')
-      .sort((nodeA, nodeB) => nodeA.closedAt - nodeB.closedAt)
-      .map(node => issueToTags(node));
+function totalsToTable(totals) {
+    return <table className="bounty-totals">
+        <thead>
+        <tr>
+            <th>Repository</th>
+            <th>Open</th>
+            <th>Paid</th>
+        </tr>
+        </thead>
+        <tbody>
+        {totals.map(({ repository, url, open, paid }) => <tr key={repository}>
+            <td><a href={url}>{repository}</a></td>
+            <td>{formatAmount(open)}</td>
+            <td>{formatAmount(paid)}</td>
+        </tr>)}
+        </tbody>
+    </table>
+}
+
+function filterBounties(nodes, { repository, claimed, sponsor, sort }, dateField) {
+    return nodes
+        .filter(node => !repository || node.repository.nameWithOwner === repository)
+        .filter(node => !claimed || (node.assignees.totalCount > 0) === (claimed === 'claimed'))
+        .filter(node => !sponsor || node.sponsors.some(({ name }) => name === sponsor))
+        .map((node, i) => ({ node, i }))
+        .sort((a, b) => sortOrders[sort].compare(a.node, b.node, dateField) || a.i - b.i)
+        .map(({ node }) => node);
+}
+
+function filtersForm(bounties, filters, setFilters) {
+    const all = [ ...bounties.open, ...bounties.completed ];
+    const repositories = [ ...new Set(all.map(node => node.repository.nameWithOwner)) ].sort();
+    const sponsors = [ ...new Set(all.flatMap(node => node.sponsors.map(({ name }) => name))) ].sort();
+    const onChange = field => event => setFilters({ ...filters, [field]: event.target.value });
+    return <div className="bounty-filters">
+        <label>
+            Repository
+            <select value={filters.repository} onChange={onChange('repository')}>
+                <option value="">All repositories</option>
+                {repositories.map(repository => <option key={repository} value={repository}>{repository}</option>)}
+            </select>
+        </label>
+        <label>
+            Status
+            <select value={filters.claimed} onChange={onChange('claimed')}>
+                <option value="">Claimed and unclaimed</option>
+                <option value="claimed">Claimed</option>
+                <option value="unclaimed">Unclaimed</option>
+            </select>
+        </label>
+        <label>
+            Sponsor
+            <select value={filters.sponsor} onChange={onChange('sponsor')}>
+                <option value="">All sponsors</option>
+                {sponsors.map(sponsor => <option key={sponsor} value={sponsor}>{sponsor}</option>)}
+            </select>
+        </label>
+        <label>
+            Order
+            <select value={filters.sort} onChange={onChange('sort')}>
+                {Object.entries(sortOrders).map(([ key, { label } ]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+        </label>
+    </div>
+}
+
+export default function Page({ bounties }) {
+  const [ filters, setFilters ] = useState({ repository: '', claimed: '', sponsor: '', sort: 'oldest' });
+  const entriesOpen = filterBounties(bounties.open, filters, 'createdAt').map(node => issueToTags(node));
+  const entriesCompleted = filterBounties(bounties.completed, filters, 'closedAt').map(node => issueToTags(node));
 
   return (
     <div className="container-page">
       <Head
           title={'Comunica Association Bounties'}
           description={'Bounties that have been placed on issues'}
+          path={'/association/bounties/'}
       />
+      <NextHead>
+          <link rel="alternate" type="application/rss+xml" title="Comunica – Bounties" href="/bounties-feed.xml" />
+          <link rel="alternate" type="application/json" title="Comunica – Bounties" href="/bounties.json" />
+      </NextHead>
       <main>
           <h1>Comunica Association Bounties</h1>
           <hr/>
@@ -92,6 +170,15 @@ export default function Page({ githubData }) {
           <p>
               Learn more about the <a href="/association/bounty_process/">procedures for all parties</a> interacting with these bounties.
           </p>
+          <p>
+              These bounties are also available as <a href="/bounties.json">JSON</a> and as an <a href="/bounties-feed.xml">RSS feed</a> of newly opened and completed bounties.
+          </p>
+          <div>
+              <h2 id={"totals"}>Bounty Value per Repository</h2>
+              <hr/>
+              {totalsToTable(bounties.totals)}
+          </div>
+          {filtersForm(bounties, filters, setFilters)}
           <p>
               <h2 id={"open"}>Open Bounties</h2>
               <hr/>
@@ -116,58 +203,6 @@ export default function Page({ githubData }) {
 }
 
 export async function getStaticProps({ ...ctx }) {
-  if (!process.env.GITHUB_TOKEN) {
-    throw new Error(`The GitHub API token environment variable 'GITHUB_TOKEN' has not been set.`);
-  }
-  const response = await fetch('https://api.github.com/graphql', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      authorization: `bearer ${process.env.GITHUB_TOKEN}`,
-    },
-    body: JSON.stringify({
-      query: `
-        query {
-          search(type: ISSUE, query: "label:comunica-association-bounty", first: 100) {
-            nodes {
-              ... on Issue {
-                state
-                title
-                url
-                number
-                repository {
-                  name
-                  nameWithOwner
-                  url
-                  description
-                }
-                assignees {
-                  totalCount
-                }
-                body
-                bodyHTML
-                createdAt
-                closedAt
-                assignees {
-                  nodes {
-                    name
-                    avatarUrl
-                    url
-                  }
-                }
-              }
-            }
-          }
-        }
-      `,
-      variables: {
-        now: new Date().toISOString(),
-      },
-    }),
-  });
-  if (!response.ok) {
-    throw new Error('Invalid GitHub API response.')
-  }
-  const githubData = await response.json();
-  return { props: { githubData } };
+  const bounties = await loadBounties();
+  return { props: { bounties } };
 }
@@ -0,0 +1,200 @@
+// Placed in separate dir because the [slug].js file cannot change the path name of js files since
+// Next.js uses a fixed scheme based on the directory location of a JS file.
+
+import Head from '../../../../components/Head';
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import Template from "../../../template";
+import AlgebraTree from "../../../../components/AlgebraTree";
+import CodeBlock from "../../../../components/CodeBlock";
+import VersionSwitcher from "../../../../components/VersionSwitcher";
+import TableOfContents from "../../../../components/TableOfContents";
+import DocSidebar from "../../../../components/DocSidebar";
+import DocPagination from "../../../../components/DocPagination";
+import PageInfo from "../../../../components/PageInfo";
+import SearchFilters from "../../../../components/SearchFilters";
+import { getNavigationData, getStaticData } from "../../../../lib/pages";
+import { getDocNavigation } from "../../../../lib/docNavigation";
+import { getPageInfo } from "../../../../lib/gitHistory";
+import { getBreadcrumbList, getPageStructuredData } from "../../../../lib/structuredData";
+import { getSearchFilters } from "../../../../lib/search";
+import { algebraToSparql, sparqlToAlgebra } from "../../../../lib/algebra";
+
+/**
+ * Query parameter that contains the query, so that the playground is deep-linkable.
+ * @type {string}
+ */
+const queryParameter = 'query';
+
+const defaultQuery = `PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+SELECT ?name (COUNT(?friend) AS ?friends) WHERE {
+  ?person foaf:name ?name .
+  OPTIONAL { ?person foaf:knows ?friend }
+  FILTER(LANG(?name) = "en")
+}
+GROUP BY ?name
+ORDER BY DESC(?friends)
+LIMIT 10`;
+
+const toc = [
+    { id: 'sparql-query', text: 'SPARQL Query', children: [] },
+    { id: 'algebra', text: 'Algebra', children: [] },
+    { id: 'algebra-as-sparql', text: 'Algebra as SPARQL', children: [] },
+];
+
+function toJson(algebra) {
+    return JSON.stringify(algebra, null, 2);
+}
+
+/**
+ * Determine the offset of a line and column, both starting at 1, in a text.
+ */
+function positionToOffset(text, line, column) {
+    return text.split('\n').slice(0, line - 1).reduce((offset, previousLine) => offset + previousLine.length + 1, 0) + column - 1;
+}
+
+/**
+ * A text area for a query or algebra, below which an error is shown with the position at which it occurs.
+ */
+function Editor({ label, value, onChange, error, rows }) {
+    const textarea = useRef();
+
+    function selectError() {
+        const offset = positionToOffset(value, error.line, error.column);
+        textarea.current.focus();
+        textarea.current.setSelectionRange(offset, offset + 1);
+    }
+
+    return (
+        <>
+            <textarea ref={textarea} aria-label={label} rows={rows} spellCheck={false}
+                      value={value} onChange={event => onChange(event.target.value)}/>
+            {error && <div className="algebra-playground-error" role="alert">
+                {error.line && <button onClick={selectError}>Line {error.line}, column {error.column}</button>}
+                <pre>
+                    {error.line && `${value.split('\n')[error.line - 1]}\n${' '.repeat(error.column - 1)}^\n`}
+                    {error.message}
+                </pre>
+            </div>}
+        </>
+    );
+}
+
+export default function AlgebraPlayground({ docNavigation, pageInfo, structuredData }) {
+  const [ query, setQuery ] = useState(defaultQuery);
+  const [ queryError, setQueryError ] = useState();
+  const [ json, setJson ] = useState(() => toJson(sparqlToAlgebra(defaultQuery).algebra));
+  const [ view, setView ] = useState('tree');
+  const fromJson = useMemo(() => algebraToSparql(json), [ json ]);
+
+  // Convert the query, but keep showing the last valid algebra while the query is being edited
+  function changeQuery(newQuery) {
+      setQuery(newQuery);
+      const { algebra, error } = sparqlToAlgebra(newQuery);
+      setQueryError(error);
+      if (algebra) {
+          setJson(toJson(algebra));
+      }
+  }
+
+  // Initialize the query from the query parameter
+  useEffect(() => {
+      const initialQuery = new URLSearchParams(window.location.search).get(queryParameter);
+      if (initialQuery) {
+          changeQuery(initialQuery);
+      }
+  }, []);
+
+  // Make the query deep-linkable
+  useEffect(() => {
+      const url = new URL(window.location.href);
+      if (query === defaultQuery) {
+          url.searchParams.delete(queryParameter);
+      } else {
+          url.searchParams.set(queryParameter, query);
+      }
+      window.history.replaceState(null, '', url);
+  }, [ query ]);
+
+  // Only show errors of converting the algebra to SPARQL if the algebra itself could be parsed
+  const jsonError = fromJson.algebra ? undefined : fromJson.error;
+  return (
+    <Template key={'/docs/modify/advanced/algebra_playground/'}>
+    <div className="container-page">
+      <Head
+        title={'Algebra Playground'}
+        description={'Convert SPARQL queries to Comunica\'s algebra and back in your browser.'}
+        path={'/docs/modify/advanced/algebra_playground/'}
+        structuredData={structuredData}
+      />
+        <DocSidebar path={'/docs/modify/advanced/algebra_playground/'} tree={docNavigation.tree}/>
+        <main className="algebra-playground">
+            <ul className="breadcrumbs" data-pagefind-meta="breadcrumbs:Documentation › Modify Comunica › Advanced modification">
+                <li><a href="/docs/">Documentation</a></li>
+                <li><a href="/docs/modify/">Modify Comunica</a></li>
+                <li><a href="/docs/modify/advanced/">Advanced modification</a></li>
+                <li>Algebra Playground</li>
+            </ul>
+            {/* This page only exists for the latest version */}
+            <VersionSwitcher path={'/docs/modify/advanced/algebra_playground/'} paths={['/docs/modify/advanced/algebra_playground/']}/>
+            <SearchFilters filters={getSearchFilters('/docs/modify/advanced/algebra_playground/', {})}/>
+            <TableOfContents toc={toc}/>
+
+            <h1>Algebra Playground</h1>
+            <hr/>
+            <p>
+                This playground converts a SPARQL query or update into
+                the <a href="/docs/modify/advanced/algebra/">SPARQL algebra</a> that actors
+                on the <a href="/docs/modify/advanced/buses/#query-operation">Query Operation bus</a> receive,
+                in the same way as Comunica does using <a href="https://github.com/comunica/traqula">Traqula</a>.
+                The algebra can also be edited as JSON, which is converted back into SPARQL.
+                Everything happens in your browser.
+            </p>
+
+            <h2 id="sparql-query">SPARQL Query</h2>
+            <Editor label="SPARQL query" value={query} onChange={changeQuery} error={queryError} rows={10}/>
+
+            <h2 id="algebra">Algebra</h2>
+            <div className="code-group-tabs" role="tablist">
+                {[ [ 'tree', 'Tree' ], [ 'json', 'JSON' ] ].map(([ id, label ]) => <button key={id} role="tab" aria-selected={view === id}
+                    className={view === id ? 'code-group-tab code-group-tab-active' : 'code-group-tab'}
+                    onClick={() => setView(id)}>
+                    {label}
+                </button>)}
+            </div>
+            <div role="tabpanel" hidden={view !== 'tree'}>
+                {fromJson.algebra
+                    ? <AlgebraTree algebra={fromJson.algebra}/>
+                    : <p>The tree can not be shown, as the JSON is invalid.</p>}
+            </div>
+            <div role="tabpanel" hidden={view !== 'json'}>
+                <Editor label="Algebra as JSON" value={json} onChange={setJson} error={jsonError} rows={20}/>
+            </div>
+
+            <h2 id="algebra-as-sparql">Algebra as SPARQL</h2>
+            {fromJson.query !== undefined && <CodeBlock language="sparql" code={fromJson.query}/>}
+            {fromJson.algebra && fromJson.error && <p className="algebra-playground-error" role="alert">
+                The algebra can not be converted into SPARQL: {fromJson.error.message}
+            </p>}
+            <PageInfo pageInfo={pageInfo}/>
+            <DocPagination previous={docNavigation.previous} next={docNavigation.next}/>
+        </main>
+    </div>
+    </Template>
+  )
+}
+
+export async function getStaticProps() {
+    const { sortedPaths, mattersData } = getNavigationData(await getStaticData());
+    const pageInfo = getPageInfo('pages/docs/modify/advanced/algebra_playground.js');
+
+    return {
+        props: {
+            docNavigation: getDocNavigation('/docs/modify/advanced/algebra_playground/', sortedPaths, mattersData),
+            pageInfo,
+            structuredData: [
+                getPageStructuredData('/docs/modify/advanced/algebra_playground/', mattersData['/docs/modify/advanced/algebra_playground/'], pageInfo.lastUpdated),
+                getBreadcrumbList('/docs/modify/advanced/algebra_playground', 'Algebra Playground', sortedPaths, mattersData),
+            ],
+        },
+    };
+}
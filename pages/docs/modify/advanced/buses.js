@@ -2,23 +2,77 @@
 // Next.js uses a fixed scheme based on the directory location of a JS file.
 
 import Head from '../../../../components/Head';
-import 'cross-fetch/polyfill';
-import React from "react";
+import React, { useEffect, useState } from "react";
 import Template from "../../../template";
 import Markdown from "../../../../components/Markdown";
+import BusGraph from "../../../../components/BusGraph";
+import VersionSwitcher from "../../../../components/VersionSwitcher";
+import TableOfContents from "../../../../components/TableOfContents";
+import DocSidebar from "../../../../components/DocSidebar";
+import DocPagination from "../../../../components/DocPagination";
+import PageInfo from "../../../../components/PageInfo";
+import SearchFilters from "../../../../components/SearchFilters";
+import { getNavigationData, getStaticData } from "../../../../lib/pages";
+import { getDocNavigation } from "../../../../lib/docNavigation";
+import { getPageInfo } from "../../../../lib/gitHistory";
+import { getBreadcrumbList, getPageStructuredData } from "../../../../lib/structuredData";
+import { getSearchFilters } from "../../../../lib/search";
+import { createComunicaSource } from "../../../../lib/repoSource";
+import { generateEngineWiring } from "../../../../lib/engineWiring";
 
 /**
  * Base url to use for linking to the Comunica repository.
  * @type {string}
  */
-const rawRepoFiles = 'https://raw.githubusercontent.com/comunica/comunica/refs/heads/master/';
 const treeRepoFiles = 'https://github.com/comunica/comunica/tree/master/';
 const commonAbbreviation = [
     ['http', 'HTTP'],
     ['sparql', 'SPARQL'],
     ['rdf', 'RDF'],
+    ['hdt', 'HDT'],
 ]
 
+/**
+ * The engines of which the actors are listed, in order of precedence.
+ * @type {{id: string, name: string, repo: string, manifest: string}[]}
+ */
+const enginesConfig = [
+    {
+        id: 'query-sparql',
+        name: 'Comunica SPARQL',
+        repo: 'comunica/comunica',
+        manifest: 'engines/query-sparql/package.json',
+    },
+    {
+        id: 'query-sparql-file',
+        name: 'Comunica SPARQL File',
+        repo: 'comunica/comunica',
+        manifest: 'engines/query-sparql-file/package.json',
+    },
+    {
+        id: 'query-sparql-hdt',
+        name: 'Comunica SPARQL HDT',
+        repo: 'comunica/comunica-feature-hdt',
+        manifest: 'engines/query-sparql-hdt/package.json',
+    },
+];
+
+/**
+ * The Components.js config from which the wiring between buses is determined.
+ * @type {{name: string, repo: string, config: string}}
+ */
+const wiringConfig = {
+    name: 'Comunica SPARQL',
+    repo: 'comunica/comunica',
+    config: 'engines/config-query-sparql/config/config-default.json',
+};
+
+/**
+ * Query parameter for filtering by engine.
+ * @type {string}
+ */
+const engineParameter = 'engine';
+
 /**
  * Replace snake case seperated abbreviation with their capitalized, well-known form
  * @param text
@@ -31,30 +85,35 @@ function abbreviate(text) {
     return changed;
 }
 
-function actorInfo(busName, { actorName, description }) {
-    const packageUrl = `${treeRepoFiles}packages/${actorName}`;
+function actorInfo(busName, { actorName, description, packageUrl, engines: actorEngines }, engines) {
     const actor = `@comunica/${actorName}`;
     const actorNameNatural = actorName
         .replace(`actor-${busName}-`, '')
         .replace(/-[a-zA-Z]/g, g => ` ${g[1].toUpperCase()}`)
         .replace(/^./, g => g.toUpperCase());
 
-    return <tr>
+    return <tr key={actorName}>
         <td>{actorNameNatural}</td>
         <td><a href={packageUrl}>{actor}</a></td>
-        <td><Markdown body={description} /></td>
+        <td><Markdown body={description} remote source={`README of ${actorName}`}/></td>
+        {engines.map(engine => <td key={engine.id} className="engine-included">
+            {actorEngines.includes(engine.id) ? <span title={`Included in ${engine.name}`}>✓</span> : ''}
+        </td>)}
     </tr>
 }
 
-function functionBusInfo({ busName, description, actors }) {
-    const actorsInfo = actors.map(actor => actorInfo(busName, actor));
-    const busNameNatural = abbreviate(busName)
+function busTitle(busName) {
+    return abbreviate(busName)
         .replace(/-[a-zA-Z]/g, g => ` ${g[1].toUpperCase()}`)
         .replace(/^./, g => g.toUpperCase());
-    return <>
-        <h2 id={busName}>{busNameNatural}</h2>
+}
+
+function functionBusInfo({ busName, description, packageUrl, actors }, engines) {
+    const actorsInfo = actors.map(actor => actorInfo(busName, actor, engines));
+    return <React.Fragment key={busName}>
+        <h2 id={busName}>{busTitle(busName)}</h2>
         <p>
-            <em>Package: <a href={`${treeRepoFiles}packages/bus-${busName}`}><code>@comunica/bus-{busName}</code></a></em>
+            <em>Package: <a href={packageUrl}><code>@comunica/bus-{busName}</code></a></em>
         </p>
         <p>
             {description}
@@ -65,35 +124,112 @@ function functionBusInfo({ busName, description, actors }) {
                 <th>Actor</th>
                 <th>Package</th>
                 <th>Description</th>
+                {engines.map(engine => <th key={engine.id} className="engine-included">{engine.name}</th>)}
             </tr>
             </thead>
             <tbody>
             {actorsInfo}
             </tbody>
         </table>
+    </React.Fragment>
+}
+
+function unparsedActorsInfo(unparsedActors) {
+    return <>
+        <h2 id={'other-actors'}>Other Actors</h2>
+        <p>
+            The following actors are included in the engines,
+            but their README does not contain a description from which their bus could be determined.
+        </p>
+        <ul>
+            {unparsedActors.map(({ actorName, packageUrl }) => <li key={actorName}>
+                <a href={packageUrl}><code>@comunica/{actorName}</code></a>
+            </li>)}
+        </ul>
+    </>
+}
+
+function wiringInfo(wiring, linkedBuses) {
+    return <>
+        <h2 id={'bus-wiring'}>Bus Wiring</h2>
+        <p>
+            The graph below shows how the buses in the default config
+            of {wiringConfig.name} are connected.
+            An arrow from one bus to another indicates that actors on the first bus invoke a mediator on the second bus.
+            Scroll to zoom, drag to pan, and click on a bus to jump to its actors.
+        </p>
+        <BusGraph buses={wiring.buses} edges={wiring.edges} linkedBuses={linkedBuses} />
     </>
 }
 
-export default function Buses({ bussesInfo }) {
-  const busInfo = bussesInfo.map(busInfo => functionBusInfo(busInfo));
+function engineFilter(engines, selectedEngine, setSelectedEngine) {
+    return <p className="engine-filter">
+        <label htmlFor="engine-filter">Show actors of </label>
+        <select id="engine-filter" value={selectedEngine || ''} onChange={event => setSelectedEngine(event.target.value)}>
+            <option value="">all engines</option>
+            {engines.map(engine => <option key={engine.id} value={engine.id}>{engine.name}</option>)}
+        </select>
+    </p>
+}
+
+export default function Buses({ bussesInfo, unparsedActors, engines, unavailable, wiring, docNavigation, pageInfo, structuredData }) {
+  const [ selectedEngine, setSelectedEngine ] = useState('');
+
+  // Initialize the engine filter from the query parameter
+  useEffect(() => {
+      const engine = new URLSearchParams(window.location.search).get(engineParameter);
+      if (engines.some(({ id }) => id === engine)) {
+          setSelectedEngine(engine);
+      }
+  }, []);
+
+  // Make the engine filter deep-linkable
+  function selectEngine(engine) {
+      setSelectedEngine(engine);
+      const url = new URL(window.location.href);
+      if (engine) {
+          url.searchParams.set(engineParameter, engine);
+      } else {
+          url.searchParams.delete(engineParameter);
+      }
+      window.history.replaceState(null, '', url);
+  }
+
+  const visibleEngines = selectedEngine ? engines.filter(({ id }) => id === selectedEngine) : engines;
+  const visibleBusses = bussesInfo
+      .map(busInfo => ({
+          ...busInfo,
+          actors: busInfo.actors.filter(actor => !selectedEngine || actor.engines.includes(selectedEngine)),
+      }))
+      .filter(busInfo => busInfo.actors.length > 0);
+  const visibleUnparsedActors = unparsedActors.filter(actor => !selectedEngine || actor.engines.includes(selectedEngine));
+  const busInfo = visibleBusses.map(busInfo => functionBusInfo(busInfo, visibleEngines));
+  const toc = [
+      ...wiring ? [ { id: 'bus-wiring', text: 'Bus Wiring', children: [] } ] : [],
+      ...visibleBusses.map(({ busName }) => ({ id: busName, text: busTitle(busName), children: [] })),
+      ...visibleUnparsedActors.length > 0 ? [ { id: 'other-actors', text: 'Other Actors', children: [] } ] : [],
+  ];
   return (
     <Template key={'/docs/modify/advanced/buses/'}>
     <div className="container-page">
       <Head
         title={'Buses and Actors'}
         description={'An overview of all buses in Comunica and their actors.'}
+        path={'/docs/modify/advanced/buses/'}
+        structuredData={structuredData}
       />
+        <DocSidebar path={'/docs/modify/advanced/buses/'} tree={docNavigation.tree}/>
         <main>
-            <ul className="breadcrumbs">
+            <ul className="breadcrumbs" data-pagefind-meta="breadcrumbs:Documentation › Modify Comunica › Advanced modification">
                 <li><a href="/docs/">Documentation</a></li>
                 <li><a href="/docs/modify/">Modify Comunica</a></li>
                 <li><a href="/docs/modify/advanced/">Advanced modification</a></li>
                 <li>Buses and Actors</li>
             </ul>
-            <div className="headers-overview">
-                <p>On this page</p>
-                <ol className="headers-overview-elements"/>
-            </div>
+            {/* This page only exists for the latest version */}
+            <VersionSwitcher path={'/docs/modify/advanced/buses/'} paths={['/docs/modify/advanced/buses/']}/>
+            <SearchFilters filters={getSearchFilters('/docs/modify/advanced/buses/', {})}/>
+            <TableOfContents toc={toc}/>
 
             <h1>Buses and Actors</h1>
             <hr/>
@@ -104,9 +240,10 @@ export default function Buses({ bussesInfo }) {
                 as <a href="https://github.com/comunica/comunica/tree/master/engines/query-sparql">Comunica
                 SPARQL</a> and <a href="https://github.com/comunica/comunica/tree/master/engines/query-sparql-file">Comunica
                 SPARQL File</a>.
-                Other configurations such as <a href="https://github.com/comunica/comunica-query-sparql-hdt">Comunica
+                Other configurations such as <a href="https://github.com/comunica/comunica-feature-hdt">Comunica
                 SPARQL HDT</a> contain
                 additional actors and buses.
+                For each actor, the tables below indicate which of these engines include it.
             </p>
             <p>
                 This builds upon
@@ -115,26 +252,25 @@ export default function Buses({ bussesInfo }) {
                 An overview of how these buses and actors are connected can be found in
                 the <a href="/docs/modify/advanced/architecture_sparql/">SPARQL architecture</a>.
             </p>
+            {wiring && wiringInfo(wiring, visibleBusses.map(({ busName }) => busName))}
+            {unavailable && <div className="admonition admonition-warning" role="note">
+                <p className="admonition-title">Actors unavailable</p>
+                <p>
+                    The actors could not be loaded from the Comunica repository when this page was built.
+                    They can be found in the <a href={treeRepoFiles + 'packages/'}>packages of the Comunica repository</a> instead.
+                </p>
+            </div>}
+            {!unavailable && engineFilter(engines, selectedEngine, selectEngine)}
             {busInfo}
+            {visibleUnparsedActors.length > 0 && unparsedActorsInfo(visibleUnparsedActors)}
+            <PageInfo pageInfo={pageInfo}/>
+            <DocPagination previous={docNavigation.previous} next={docNavigation.next}/>
         </main>
     </div>
     </Template>
   )
 }
 
-async function fetchFile(url) {
-    return await (await fetch(url)).text();
-}
-
-async function fetchJson(url) {
-    try {
-        return await (await fetch(url)).json();
-    } catch (e) {
-        console.error(`Could not fetch ${url}: ${e}`);
-        throw e;
-    }
-}
-
 function sharedPrefixLength(a, b) {
     let i = 0;
     while (i < a.length && i < b.length && a[i] === b[i]) {
@@ -143,15 +279,28 @@ function sharedPrefixLength(a, b) {
     return i;
 }
 
-async function generateActorInfo(actor) {
+/**
+ * Determine the bus and description of an actor based on its README.
+ * If this is not possible, an error message is returned instead of a bus name.
+ * @param source The repository source of the first engine that includes the actor.
+ * @param actor The actor package name.
+ * @param engines The ids of all engines that include the actor.
+ */
+async function generateActorInfo(source, actor, engines) {
     const actorName = actor.replace('@comunica/', '');
-    const actorReadme = await fetchFile(`${rawRepoFiles}packages/${actorName}/README.md`);
+    const packageUrl = `${source.treeUrl}packages/${actorName}`;
+    let actorReadme;
+    try {
+        actorReadme = await source.readFile(`packages/${actorName}/README.md`);
+    } catch (e) {
+        return { actorName, packageUrl, engines, error: e.message };
+    }
     const descriptionMatch = new RegExp(
         `^An? \\[([^\\]]*)\\]\\([^)]*\\)[ \n]actor((([^.]*\\.[^ \n])*[^.]*)*)\\.[ \n]`, 'gmiu'
     ).exec(actorReadme);
 
     if (!descriptionMatch) {
-        throw new Error(`No description found for actor ${actorName} parsed:\n${actorReadme}`);
+        return { actorName, packageUrl, engines, error: 'README does not start with "A [Bus Name](...) actor that ..."' };
     }
     const description = descriptionMatch[2]
         .replaceAll('\n', ' ')
@@ -167,29 +316,90 @@ async function generateActorInfo(actor) {
         busName,
         actorName,
         description,
+        packageUrl,
+        engines,
     };
 }
 
-async function generateBusInfo(busName, actors) {
-    const busPackage = await fetchJson(`${rawRepoFiles}packages/bus-${busName}/package.json`);
-    const description = busPackage.description;
-    return {
-        busName,
-        description,
-        actors,
-    };
+/**
+ * Determine the description of a bus, based on the first source that contains its package.
+ * @param sources The repository sources to look in, in order of precedence.
+ * @param busName The bus name.
+ * @param actors The actors on the bus.
+ */
+async function generateBusInfo(sources, busName, actors) {
+    const errors = [];
+    for (const source of sources) {
+        try {
+            const busPackage = await source.readJson(`packages/bus-${busName}/package.json`);
+            return {
+                busName,
+                description: busPackage.description,
+                packageUrl: `${source.treeUrl}packages/bus-${busName}`,
+                actors,
+            };
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    throw new Error(`Could not find the package of bus ${busName}:\n${errors.join('\n')}`);
 }
 
-export async function getStaticProps({...ctx}) {
-    // fetch config default
-    const defaultConfig = await fetchJson(`${rawRepoFiles}engines/query-sparql/package.json`);
-    const actors = Object.keys(defaultConfig.dependencies).filter(dep => dep.startsWith('@comunica/actor-'));
+/**
+ * Read the package manifests of all engines.
+ * Engines of which the manifest cannot be read are skipped with a warning.
+ * @param sources The repository sources by repository name.
+ */
+async function readEngineManifests(sources) {
+    const manifests = await Promise.all(enginesConfig.map(async engine => {
+        try {
+            return await sources[engine.repo].readJson(engine.manifest);
+        } catch (e) {
+            console.warn(`Buses and Actors: skipping engine ${engine.name}: ${e.message}`);
+        }
+    }));
+    const engines = enginesConfig
+        .map((engine, i) => ({ ...engine, manifest: manifests[i] }))
+        .filter(engine => engine.manifest);
+    if (engines.length === 0) {
+        throw new Error('Could not read the manifest of any engine');
+    }
+    return engines;
+}
+
+/**
+ * Determine the actors of all engines, grouped by bus.
+ * @param sources The repository sources by repository name.
+ * @return {Promise<{engines: {id: string, name: string}[], bussesInfo: Object[], unparsedActors: Object[]}>}
+ */
+async function loadActors(sources) {
+    const engines = await readEngineManifests(sources);
+
+    // Determine the engines of each actor, where an actor is read from the repo of the first engine including it
+    const actorEngines = {};
+    for (const engine of engines) {
+        const actors = Object.keys(engine.manifest.dependencies || {}).filter(dep => dep.startsWith('@comunica/actor-'));
+        for (const actor of actors) {
+            if (!(actor in actorEngines)) {
+                actorEngines[actor] = { source: sources[engine.repo], engines: [] };
+            }
+            actorEngines[actor].engines.push(engine.id);
+        }
+    }
+
+    const actorInfo = await Promise.all(Object.entries(actorEngines)
+        .map(([ actor, { source, engines } ]) => generateActorInfo(source, actor, engines)));
 
-    const actorInfo = await Promise.all(actors.map(actor => generateActorInfo(actor)));
+    // Report actors for which no bus could be determined
+    const unparsedActors = actorInfo.filter(actor => actor.error);
+    if (unparsedActors.length > 0) {
+        console.warn(`Buses and Actors: no parseable description for ${unparsedActors.length} actor(s):\n${
+            unparsedActors.map(({ actorName, error }) => `  - @comunica/${actorName}: ${error}`).join('\n')}`);
+    }
 
     // Group matching actors by bus
     const busActors = {};
-    actorInfo.forEach((actor) => {
+    actorInfo.filter(actor => !actor.error).forEach((actor) => {
         if (!(actor.busName in busActors)) {
             busActors[actor.busName] = [];
         }
@@ -197,8 +407,51 @@ export async function getStaticProps({...ctx}) {
     });
 
     const bussesInfo = await Promise.all(
-        Object.keys(busActors).map(busName => generateBusInfo(busName, busActors[busName]))
+        Object.keys(busActors).map(busName => generateBusInfo(Object.values(sources), busName, busActors[busName]))
     );
 
-    return { props: { bussesInfo } };
+    return {
+        engines: engines.map(({ id, name }) => ({ id, name })),
+        bussesInfo,
+        unparsedActors,
+    };
+}
+
+export async function getStaticProps({...ctx}) {
+    const sources = Object.fromEntries(enginesConfig.map(({ repo }) => [ repo, createComunicaSource(repo) ]));
+
+    // Show a notice instead of the actors if they can not be read, such as when offline without cache
+    let actors = { engines: [], bussesInfo: [], unparsedActors: [] };
+    let unavailable = false;
+    try {
+        actors = await loadActors(sources);
+    } catch (e) {
+        console.warn(`Buses and Actors: skipping actors: ${e.message}`);
+        unavailable = true;
+    }
+
+    // Determine the wiring between buses, which is omitted if the config can not be read
+    let wiring = null;
+    try {
+        wiring = await generateEngineWiring(sources[wiringConfig.repo], wiringConfig.config);
+    } catch (e) {
+        console.warn(`Buses and Actors: skipping bus wiring: ${e.message}`);
+    }
+
+    const { sortedPaths, mattersData } = getNavigationData(await getStaticData());
+    const pageInfo = getPageInfo('pages/docs/modify/advanced/buses.js');
+
+    return {
+        props: {
+            ...actors,
+            unavailable,
+            wiring,
+            docNavigation: getDocNavigation('/docs/modify/advanced/buses/', sortedPaths, mattersData),
+            pageInfo,
+            structuredData: [
+                getPageStructuredData('/docs/modify/advanced/buses/', mattersData['/docs/modify/advanced/buses/'], pageInfo.lastUpdated),
+                getBreadcrumbList('/docs/modify/advanced/buses', 'Buses and Actors', sortedPaths, mattersData),
+            ],
+        },
+    };
 }
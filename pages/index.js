@@ -1,4 +1,5 @@
 import Head from '../components/Head';
+import ThemedImage from '../components/ThemedImage';
 
 export default function Home() {
   return (
@@ -6,11 +7,12 @@ export default function Home() {
       <Head
           title={'A knowledge graph querying framework'}
           description={'Flexible SPARQL and GraphQL over decentralized RDF on the Web.'}
+          path={'/'}
       />
 
       <main id="software">
         <div className={"intro"}>
-          <img src="/img/comunica_red_no_fill.svg" alt="Comunica" className="comunica-logo" />
+          <ThemedImage src="/img/comunica_red_no_fill.svg" alt="Comunica" className="comunica-logo" />
           <h1 className="title">A knowledge graph querying framework</h1>
         </div>
 
@@ -20,21 +22,21 @@ export default function Home() {
 
         <div className="grid-wide">
           <div className="card-info">
-            <img src="/img/web.svg" alt="Web" className="feature-icon" />
+            <ThemedImage src="/img/web.svg" alt="Web" className="feature-icon" />
             <h3>For the Web</h3>
             <p>
               Powered by Web technologies, execute queries via JavaScript on server or client.
             </p>
           </div>
           <div className="card-info">
-            <img src="/img/ldf.svg" alt="Web" className="feature-icon" />
+            <ThemedImage src="/img/ldf.svg" alt="Web" className="feature-icon" />
             <h3>Heterogeneous</h3>
             <p>
               Execute queries over multiple federated data sources of different types.
             </p>
           </div>
           <div className="card-info">
-            <img src="/img/modular.svg" alt="Web" className="feature-icon" />
+            <ThemedImage src="/img/modular.svg" alt="Web" className="feature-icon" />
             <h3>Modular</h3>
             <p>
               A collection of modules that can be combined to achieve a certain task.
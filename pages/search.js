@@ -0,0 +1,189 @@
+import Head from '../components/Head';
+import React, { useEffect, useState } from "react";
+import Template from "./template";
+import { searchSections } from "../lib/search";
+
+/**
+ * Filters that can be selected, with labels for their values.
+ */
+const facets = [
+    { key: 'section', title: 'Section', label: value => searchSections[value] || value },
+    { key: 'version', title: 'Documentation version', label: value => value },
+    { key: 'year', title: 'Blog year', label: value => value, reverse: true },
+    { key: 'status', title: 'Status', label: value => value },
+];
+
+/**
+ * The maximum number of results that are shown.
+ */
+const maxResults = 30;
+
+/**
+ * The maximum number of matching headings that are shown per result.
+ */
+const maxSubResults = 3;
+
+/**
+ * Load the Pagefind search API, which is only available after the search index has been built.
+ */
+async function loadPagefind() {
+    const pagefind = await import(/* webpackIgnore: true */ '/pagefind/pagefind.js');
+    await pagefind.init();
+    return pagefind;
+}
+
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const selected = {};
+    for (const { key } of facets) {
+        selected[key] = params.getAll(key);
+    }
+    return { query: params.get('q') || '', selected };
+}
+
+function writeUrlState(query, selected) {
+    const params = new URLSearchParams();
+    if (query) {
+        params.set('q', query);
+    }
+    for (const key in selected) {
+        selected[key].forEach(value => params.append(key, value));
+    }
+    const search = params.toString();
+    window.history.replaceState(null, '', search ? `?${search}` : window.location.pathname);
+}
+
+function toPagefindFilters(selected) {
+    const filters = {};
+    for (const key in selected) {
+        if (selected[key].length > 0) {
+            filters[key] = { any: selected[key] };
+        }
+    }
+    return filters;
+}
+
+function Facet({ facet, values, counts, selected, onChange }) {
+    let entries = Object.keys(values).sort();
+    if (facet.reverse) {
+        entries = entries.reverse();
+    }
+    if (entries.length === 0) {
+        return null;
+    }
+    const toggle = value => onChange(selected.includes(value)
+        ? selected.filter(v => v !== value)
+        : [ ...selected, value ]);
+    return (
+        <fieldset className="search-facet">
+            <legend>{facet.title}</legend>
+            {entries.map(value => <label key={value}>
+                <input type="checkbox" checked={selected.includes(value)} onChange={() => toggle(value)}/>
+                {facet.label(value)}
+                <span className="search-facet-count">{counts ? counts[value] || 0 : values[value]}</span>
+            </label>)}
+        </fieldset>
+    );
+}
+
+function SearchResult({ result }) {
+    const headings = result.sub_results
+        .filter(sub => sub.anchor)
+        .slice(0, maxSubResults);
+    return (
+        <li className="search-result">
+            {result.meta.breadcrumbs && <p className="search-result-breadcrumbs">{result.meta.breadcrumbs}</p>}
+            <a href={result.url} className="search-result-title">{result.meta.title}</a>
+            <p dangerouslySetInnerHTML={{ __html: result.excerpt }}/>
+            {headings.length > 0 && <ul className="search-result-headings">
+                {headings.map(sub => <li key={sub.url}>
+                    <a href={sub.url}>{sub.title}</a>
+                    <p dangerouslySetInnerHTML={{ __html: sub.excerpt }}/>
+                </li>)}
+            </ul>}
+        </li>
+    );
+}
+
+export default function Search() {
+    const [ pagefind, setPagefind ] = useState();
+    const [ unavailable, setUnavailable ] = useState(false);
+    const [ allFilters, setAllFilters ] = useState({});
+    const [ query, setQuery ] = useState('');
+    const [ selected, setSelected ] = useState(Object.fromEntries(facets.map(({ key }) => [ key, [] ])));
+    const [ search, setSearch ] = useState();
+
+    useEffect(() => {
+        const state = readUrlState();
+        setQuery(state.query);
+        setSelected(state.selected);
+        loadPagefind()
+            .then(async loaded => {
+                setAllFilters(await loaded.filters());
+                setPagefind(loaded);
+            })
+            .catch(() => setUnavailable(true));
+    }, []);
+
+    useEffect(() => {
+        if (!pagefind) {
+            return;
+        }
+        writeUrlState(query, selected);
+        const filters = toPagefindFilters(selected);
+        if (!query && Object.keys(filters).length === 0) {
+            setSearch(undefined);
+            return;
+        }
+        let cancelled = false;
+        pagefind.debouncedSearch(query || null, { filters })
+            .then(async response => {
+                // Null if the search was superseded by a newer one
+                if (!response || cancelled) {
+                    return;
+                }
+                const results = await Promise.all(response.results.slice(0, maxResults).map(result => result.data()));
+                if (!cancelled) {
+                    setSearch({ total: response.results.length, filters: response.filters, results });
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [ pagefind, query, selected ]);
+
+    return (
+        <Template key={'/search/'}>
+        <div className="container-page">
+            <Head
+                title={'Search'}
+                description={'Search the Comunica documentation, blog, and events.'}
+                path={'/search/'}
+            />
+            <main className="search-page" data-pagefind-ignore="all">
+                <h1>Search</h1>
+                <hr/>
+                <input type="search" className="search-input" placeholder="Search…" aria-label="Search"
+                       value={query} onChange={event => setQuery(event.target.value)} autoFocus/>
+                {unavailable && <p>The search index is not available, as it is only created when building the website.</p>}
+                <div className="search-layout">
+                    <div className="search-facets">
+                        {facets.map(facet => <Facet key={facet.key} facet={facet}
+                                                    values={allFilters[facet.key] || {}}
+                                                    counts={search && search.filters[facet.key]}
+                                                    selected={selected[facet.key]}
+                                                    onChange={values => setSelected({ ...selected, [facet.key]: values })}/>)}
+                    </div>
+                    <div className="search-results">
+                        {search && <p>{search.total === 1 ? '1 result' : `${search.total} results`}
+                            {search.total > maxResults && `, of which the first ${maxResults} are shown`}</p>}
+                        {search && <ol>
+                            {search.results.map(result => <SearchResult key={result.url} result={result}/>)}
+                        </ol>}
+                    </div>
+                </div>
+            </main>
+        </div>
+        </Template>
+    );
+}